@@ -0,0 +1,22 @@
+-- Checklist items as rows instead of a JSON blob in checklists.items.
+-- Each item is locked on its own version, so edits to different banks never collide.
+-- Existing blobs are copied into this table by the server on startup (storage.init),
+-- after which checklists.items is set to NULL.
+CREATE TABLE IF NOT EXISTS checklist_items (
+  checklist_id  bigint      NOT NULL REFERENCES checklists(id) ON DELETE CASCADE,
+  item_id       integer     NOT NULL,
+  position      integer     NOT NULL DEFAULT 0,
+  name          text        NOT NULL,
+  status        text        NOT NULL DEFAULT 'NOT_STARTED',
+  emoji         text        NOT NULL DEFAULT '⬜',
+  details       jsonb       NOT NULL DEFAULT '{}'::jsonb,
+  last_modified timestamptz,
+  modified_by   text,
+  version       integer     NOT NULL DEFAULT 0,
+  PRIMARY KEY (checklist_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS checklist_items_name_status_idx
+  ON checklist_items (lower(name), status);
+
+ALTER TABLE checklists ALTER COLUMN items DROP NOT NULL;
@@ -0,0 +1,15 @@
+-- Append-only audit trail of item changes (status, emoji, each details field).
+CREATE TABLE IF NOT EXISTS item_events (
+  id           bigserial   PRIMARY KEY,
+  checklist_id bigint      NOT NULL REFERENCES checklists(id) ON DELETE CASCADE,
+  item_id      integer     NOT NULL,
+  item_name    text,
+  field        text        NOT NULL,
+  old_value    jsonb,
+  new_value    jsonb,
+  actor        text,
+  created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS item_events_checklist_idx
+  ON item_events (checklist_id, item_id, created_at DESC);
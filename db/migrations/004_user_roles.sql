@@ -0,0 +1,7 @@
+-- viewer / editor / admin roles; is_admin stays in sync (true only for admin).
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role text
+  CHECK (role IN ('viewer', 'editor', 'admin'));
+
+UPDATE users
+SET role = CASE WHEN is_admin THEN 'admin' ELSE 'editor' END
+WHERE role IS NULL;
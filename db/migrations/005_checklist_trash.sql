@@ -0,0 +1,3 @@
+-- Deleting a checklist moves it to the trash; it is purged after TRASH_RETENTION_DAYS.
+ALTER TABLE checklists ADD COLUMN IF NOT EXISTS archived_at timestamptz;
+ALTER TABLE checklists ADD COLUMN IF NOT EXISTS archived_by text;
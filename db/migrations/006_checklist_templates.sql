@@ -0,0 +1,5 @@
+-- Checklists remember the template they were created from (settings key 'templates').
+ALTER TABLE checklists ADD COLUMN IF NOT EXISTS template_id text;
+
+-- Everything created before named templates came from the bank list
+UPDATE checklists SET template_id = 'banks' WHERE template_id IS NULL;
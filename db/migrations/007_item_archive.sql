@@ -0,0 +1,3 @@
+-- Template sync matches items on item_id. Items removed from a template that still
+-- hold details are archived (hidden from clients) instead of deleted.
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS archived_at timestamptz;
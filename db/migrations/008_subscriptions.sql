@@ -0,0 +1,15 @@
+-- Chats subscribed to status change notifications (/subscribe).
+-- checklist_id NULL = every checklist of the group.
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id           bigserial   PRIMARY KEY,
+  chat_id      text        NOT NULL,
+  group_id     text        NOT NULL,
+  checklist_id bigint      REFERENCES checklists(id) ON DELETE CASCADE,
+  created_by   text,
+  created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS subscriptions_target_idx
+  ON subscriptions (chat_id, group_id, COALESCE(checklist_id, 0));
+
+CREATE INDEX IF NOT EXISTS subscriptions_group_idx ON subscriptions (group_id);
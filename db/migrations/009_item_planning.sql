@@ -0,0 +1,10 @@
+-- Due dates, owners and reminder state for checklist items.
+-- owner is a users.telegram_id; reminders remembers what the reminder scheduler
+-- already sent ({ "overdue": <due date>, "stale": <status since> }) so a restart
+-- doesn't send it again.
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS due_date date;
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS owner text;
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS status_changed_at timestamptz;
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS reminders jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS checklist_items_owner_idx ON checklist_items (owner);
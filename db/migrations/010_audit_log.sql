@@ -0,0 +1,12 @@
+-- Audit log of actions that aren't item edits (data exports, ...).
+-- Item changes stay in item_events.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id         bigserial   PRIMARY KEY,
+  actor      text,
+  action     text        NOT NULL,
+  group_id   text,
+  details    jsonb       NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at DESC);
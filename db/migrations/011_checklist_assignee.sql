@@ -0,0 +1,5 @@
+-- Teammate responsible for a whole checklist (users.telegram_id).
+-- Item owners (009) take precedence for their own items.
+ALTER TABLE checklists ADD COLUMN IF NOT EXISTS assignee text;
+
+CREATE INDEX IF NOT EXISTS checklists_assignee_idx ON checklists (assignee);
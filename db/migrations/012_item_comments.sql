@@ -0,0 +1,14 @@
+-- Comment threads on checklist items. mentions holds the telegram ids of the
+-- users @mentioned in the body, who got a bot message about it.
+CREATE TABLE IF NOT EXISTS item_comments (
+  id           bigserial   PRIMARY KEY,
+  checklist_id bigint      NOT NULL REFERENCES checklists(id) ON DELETE CASCADE,
+  item_id      integer     NOT NULL,
+  author       text        NOT NULL,
+  body         text        NOT NULL,
+  mentions     jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS item_comments_item_idx
+  ON item_comments (checklist_id, item_id, created_at);
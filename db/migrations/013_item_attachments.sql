@@ -0,0 +1,16 @@
+-- Files attached to checklist items. The contents live in the attachment file
+-- store (local disk or a Supabase Storage bucket) under storage_key.
+CREATE TABLE IF NOT EXISTS item_attachments (
+  id           bigserial   PRIMARY KEY,
+  checklist_id bigint      NOT NULL REFERENCES checklists(id) ON DELETE CASCADE,
+  item_id      integer     NOT NULL,
+  file_name    text        NOT NULL,
+  content_type text,
+  size         integer     NOT NULL,
+  storage_key  text        NOT NULL UNIQUE,
+  uploaded_by  text,
+  created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS item_attachments_item_idx
+  ON item_attachments (checklist_id, item_id);
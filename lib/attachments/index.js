@@ -0,0 +1,43 @@
+// ============================================
+// ATTACHMENT FILE STORE FACTORY
+// ============================================
+//
+// Attachment metadata lives in the item_attachments table (see lib/storage),
+// the file contents in a file store with this async interface:
+//
+//   init()
+//   put(key, buffer, { contentType })
+//   get(key)     -> Buffer, null when missing
+//   remove(key)
+//
+// Keys are generated by the server (<checklistId>/<itemId>/<random>), never
+// taken from the uploaded file name.
+
+const path = require('path');
+const { createLocalFileStore } = require('./local');
+const { createSupabaseFileStore } = require('./supabase');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'data', 'attachments');
+
+// ATTACHMENT_DRIVER = local | supabase (a Supabase Storage bucket)
+function createFileStore(env = process.env) {
+  const driver = env.ATTACHMENT_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalFileStore({ dir: env.ATTACHMENT_DIR || DEFAULT_DIR });
+    case 'supabase':
+      if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+        throw new Error('SUPABASE_URL and SUPABASE_KEY are required for supabase attachments');
+      }
+      return createSupabaseFileStore({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_KEY,
+        bucket: env.ATTACHMENT_BUCKET || 'attachments'
+      });
+    default:
+      throw new Error(`Unknown ATTACHMENT_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createFileStore, createLocalFileStore, createSupabaseFileStore };
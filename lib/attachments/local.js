@@ -0,0 +1,47 @@
+// ============================================
+// LOCAL DISK FILE STORE
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+
+function createLocalFileStore({ dir }) {
+  // Keys are server-generated, this only guards against a bad one leaving the directory
+  function pathOf(key) {
+    const filePath = path.resolve(dir, key);
+    if (!filePath.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async init() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      console.log(`✅ Attachments stored in ${dir}`);
+    },
+
+    async put(key, buffer) {
+      const filePath = pathOf(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(pathOf(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(pathOf(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createLocalFileStore };
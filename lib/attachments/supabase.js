@@ -0,0 +1,43 @@
+// ============================================
+// SUPABASE STORAGE FILE STORE
+// ============================================
+//
+// The bucket is created in the Supabase Dashboard and must be private:
+// downloads go through the server, which checks checklist permissions.
+
+const { createClient } = require('@supabase/supabase-js');
+
+function createSupabaseFileStore({ url, key, bucket }) {
+  const files = createClient(url, key).storage.from(bucket);
+
+  return {
+    name: 'supabase',
+
+    async init() {
+      const { error } = await files.list('', { limit: 1 });
+      if (error) throw new Error(`Attachment bucket "${bucket}" is not available: ${error.message}`);
+      console.log(`✅ Attachments stored in Supabase bucket ${bucket}`);
+    },
+
+    async put(path, buffer, { contentType } = {}) {
+      const { error } = await files.upload(path, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+
+    async get(path) {
+      const { data, error } = await files.download(path);
+      if (error) {
+        if (error.statusCode === '404' || /not found/i.test(error.message)) return null;
+        throw error;
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(path) {
+      const { error } = await files.remove([path]);
+      if (error) throw error;
+    }
+  };
+}
+
+module.exports = { createSupabaseFileStore };
@@ -0,0 +1,37 @@
+// ============================================
+// ITEM COMMENTS
+// ============================================
+//
+// Plain-text comment threads on checklist items. Whitelisted users are
+// mentioned by Telegram username (@alice) and get a bot message about it.
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// @username as Telegram allows it, not preceded by a word character (emails)
+const MENTION_PATTERN = /(?:^|[^\w@.])@([a-z0-9_]{3,32})/gi;
+
+// Trimmed comment text, throws when there is nothing to post or too much
+function normalizeComment(body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+
+  if (!text) {
+    throw new Error('Comment is empty');
+  }
+
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Comment is too long (max ${MAX_COMMENT_LENGTH} characters)`);
+  }
+
+  return text;
+}
+
+// Users (with a telegram_id to message) whose @username appears in the text
+function findMentions(text, users) {
+  const names = new Set([...text.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()));
+
+  return users.filter(user =>
+    user.telegram_id && user.username && names.has(user.username.toLowerCase())
+  );
+}
+
+module.exports = { MAX_COMMENT_LENGTH, normalizeComment, findMentions };
@@ -0,0 +1,142 @@
+// ============================================
+// CREDENTIAL ENCRYPTION (AES-256-GCM)
+// ============================================
+//
+// Item details (login, password, phone, email) are encrypted field by field
+// before they are stored. Keys come from the environment:
+//
+//   CREDENTIALS_KEYS=2024b:<base64 32 bytes>,2024a:<base64 32 bytes>
+//
+// The first key encrypts, all of them decrypt. To rotate: put a new key
+// first, run `npm run encrypt-credentials`, then drop the old key.
+// A single key can also be given as CREDENTIALS_KEY=<base64 32 bytes>.
+// Without a key nothing is saved, unless ALLOW_PLAINTEXT_CREDENTIALS=true
+// (local development only).
+//
+// Stored format: enc:v2:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts).
+// The checklist id, item id and field name are bound as additional data, so a
+// value can't be swapped into another column, item or checklist.
+// enc:v1: values (field name only) still decrypt until the migration re-encrypts them.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v2:';
+const LEGACY_PREFIX = 'enc:v1:';
+
+function loadKeys(env = process.env) {
+  const spec = env.CREDENTIALS_KEYS || (env.CREDENTIALS_KEY ? `default:${env.CREDENTIALS_KEY}` : '');
+
+  const keys = spec
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.indexOf(':');
+      const id = part.slice(0, separator);
+      const key = Buffer.from(part.slice(separator + 1), 'base64');
+
+      if (separator < 1 || key.length !== 32) {
+        throw new Error(`Invalid credentials key "${id || part}": expected <id>:<base64 of 32 bytes>`);
+      }
+
+      return { id, key };
+    });
+
+  return keys;
+}
+
+const keys = loadKeys();
+const allowPlaintext = process.env.ALLOW_PLAINTEXT_CREDENTIALS === 'true';
+
+if (!keys.length && allowPlaintext) {
+  console.log('⚠️  ALLOW_PLAINTEXT_CREDENTIALS is set - credentials are stored unencrypted');
+}
+
+// True when credentials can be saved: a key is set, or plaintext was allowed explicitly
+const canStoreCredentials = () => keys.length > 0 || allowPlaintext;
+
+const isEncrypted = (value) =>
+  typeof value === 'string' && (value.startsWith(PREFIX) || value.startsWith(LEGACY_PREFIX));
+
+// Where a value belongs: { checklistId, itemId }, bound to it with the field name
+const additionalData = (field, { checklistId, itemId }) =>
+  Buffer.from(`${checklistId}:${itemId}:${field}`);
+
+function encryptValue(value, field, context) {
+  if (value === '' || value == null || isEncrypted(value)) return value;
+
+  if (!keys.length) {
+    if (allowPlaintext) return value;
+    throw new Error('CREDENTIALS_KEYS is not set, credentials can not be saved');
+  }
+
+  const { id, key } = keys[0];
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(additionalData(field, context));
+
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return PREFIX + [
+    id,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+function decryptValue(value, field, context) {
+  // Legacy plaintext passes through until the migration has run
+  if (!isEncrypted(value)) return value;
+
+  const legacy = value.startsWith(LEGACY_PREFIX);
+  const [id, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const entry = keys.find(k => k.id === id);
+
+  if (!entry) {
+    throw new Error(`Credentials key "${id}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(legacy ? Buffer.from(field) : additionalData(field, context));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Plaintext, the v1 format, or encrypted with a key other than the active one
+function needsEncryption(value) {
+  if (!keys.length || value === '' || value == null) return false;
+  if (!isEncrypted(value) || value.startsWith(LEGACY_PREFIX)) return true;
+  return value.slice(PREFIX.length).split(':')[0] !== keys[0].id;
+}
+
+function mapDetails(details, fn, context) {
+  const result = {};
+  for (const [field, value] of Object.entries(details || {})) {
+    result[field] = fn(value, field, context);
+  }
+  return result;
+}
+
+const encryptDetails = (details, context) => mapDetails(details, encryptValue, context);
+const decryptDetails = (details, context) => mapDetails(details, decryptValue, context);
+
+// Re-encrypt with the active key (used by the migration / key rotation)
+const reencryptValue = (value, field, context) =>
+  needsEncryption(value) ? encryptValue(decryptValue(value, field, context), field, context) : value;
+
+module.exports = {
+  loadKeys,
+  canStoreCredentials,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  encryptDetails,
+  decryptDetails,
+  needsEncryption,
+  reencryptValue
+};
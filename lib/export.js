@@ -0,0 +1,144 @@
+// ============================================
+// CHECKLIST EXPORT (CSV, JSON, XLSX)
+// ============================================
+//
+// Checklists are flattened into one row per item for CSV and XLSX, with one
+// column per details field (the union of every schema in the export). JSON
+// keeps the checklist → items nesting.
+//
+// Details are redacted by default: filled fields show REDACTED, empty ones
+// stay empty. With redact: false the decrypted values are written out, so
+// callers decide who may ask for that.
+
+const ExcelJS = require('exceljs');
+const { decryptDetails } = require('./credentials');
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+const REDACTED = '[redacted]';
+
+const BASE_COLUMNS = ['Checklist', 'Item ID', 'Item', 'Status', 'Due date', 'Owner', 'Last modified'];
+
+// Collect what goes into the file.
+//   fieldsOf(checklist, itemId) - details schema of an item
+//   statusName(statusId), userName(telegramId) - labels for the status and owner columns
+// Returns { exportedAt, redacted, fields: [{ key, label }], checklists: [{ id, name, items }] }
+function buildExport(checklists, { fieldsOf, statusName, userName, redact = true }) {
+  const fields = new Map();
+
+  const exported = checklists.map(checklist => ({
+    id: checklist.id,
+    name: checklist.name,
+    items: checklist.items
+      .filter(item => !item.archivedAt)
+      .map(item => {
+        const schema = fieldsOf(checklist, item.id);
+        schema.forEach(field => {
+          if (!fields.has(field.key)) fields.set(field.key, { key: field.key, label: field.label });
+        });
+
+        const stored = item.details || {};
+        const values = redact ? stored : decryptDetails(stored, { checklistId: checklist.id, itemId: item.id });
+        const details = {};
+        for (const field of schema) {
+          const value = values[field.key] || '';
+          details[field.key] = redact && value ? REDACTED : value;
+        }
+
+        return {
+          id: item.id,
+          name: item.name,
+          status: item.status,
+          statusName: statusName(item.status),
+          dueDate: item.dueDate || null,
+          owner: item.owner || null,
+          ownerName: item.owner ? userName(item.owner) : null,
+          lastModified: item.lastModified || null,
+          details
+        };
+      })
+  }));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    redacted: redact,
+    fields: [...fields.values()],
+    checklists: exported
+  };
+}
+
+// Header labels and one array of cell values per item
+function exportTable(data) {
+  const header = [...BASE_COLUMNS, ...data.fields.map(f => f.label)];
+
+  const rows = data.checklists.flatMap(checklist =>
+    checklist.items.map(item => [
+      checklist.name,
+      item.id,
+      item.name,
+      item.statusName,
+      item.dueDate || '',
+      item.ownerName || '',
+      item.lastModified || '',
+      ...data.fields.map(field => item.details[field.key] || '')
+    ])
+  );
+
+  return { header, rows };
+}
+
+// Spreadsheets run cells starting with these as formulas, so they get a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(data) {
+  const { header, rows } = exportTable(data);
+  const lines = [header, ...rows].map(row => row.map(csvCell).join(','));
+  // BOM so Excel opens the file as UTF-8
+  return Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+function toJson(data) {
+  return Buffer.from(JSON.stringify(data, null, 2), 'utf8');
+}
+
+async function toXlsx(data) {
+  const { header, rows } = exportTable(data);
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Checklists');
+
+  sheet.addRow(header).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.columns.forEach((column, index) => {
+    const longest = Math.max(...[header, ...rows].map(row => String(row[index] ?? '').length));
+    column.width = Math.min(Math.max(longest + 2, 8), 60);
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const WRITERS = { csv: toCsv, json: toJson, xlsx: toXlsx };
+
+// Resolves to the file contents as a Buffer
+async function renderExport(data, format) {
+  const write = WRITERS[format];
+  if (!write) {
+    throw new Error(`Unknown export format "${format}": expected one of ${Object.keys(WRITERS).join(', ')}`);
+  }
+  return write(data);
+}
+
+module.exports = { EXPORT_FORMATS, REDACTED, buildExport, renderExport };
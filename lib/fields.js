@@ -0,0 +1,121 @@
+// ============================================
+// DETAIL FIELDS
+// ============================================
+//
+// The details modal is rendered from a field schema instead of fixed inputs:
+//
+//   { key: 'iban', label: 'IBAN', type: 'text', secret: false, copyable: true }
+//
+// A template can set `fields` for all of its items and a template item can
+// override it with its own `fields`. Without either, DEFAULT_FIELDS apply
+// (the login/password/phone/email every checklist had before).
+//
+// secret   - masked in the modal until revealed
+// copyable - shows a copy button next to the value
+
+const FIELD_TYPES = ['text', 'multiline', 'email', 'tel', 'url', 'number'];
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+const MAX_VALUE_LENGTH = 2000;
+
+const DEFAULT_FIELDS = [
+  { key: 'login', label: 'Login', type: 'text', secret: false, copyable: true },
+  { key: 'password', label: 'Password', type: 'text', secret: true, copyable: true },
+  { key: 'phone', label: 'Phone', type: 'tel', secret: false, copyable: true },
+  { key: 'email', label: 'Email', type: 'email', secret: false, copyable: true }
+];
+
+// Per-type checks on non-empty values, return an error message or null
+const TYPE_CHECKS = {
+  email: (value) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'must be an email address'),
+  tel: (value) => (/^\+?[0-9 ()-]{3,32}$/.test(value) ? null : 'must be a phone number'),
+  url: (value) => {
+    try {
+      const { protocol } = new URL(value);
+      return protocol === 'http:' || protocol === 'https:' ? null : 'must be an http(s) link';
+    } catch (err) {
+      return 'must be a link';
+    }
+  },
+  number: (value) => (/^-?\d+(\.\d+)?$/.test(value) ? null : 'must be a number')
+};
+
+// Schema in effect for a template item
+function fieldsFor(template, templateItem) {
+  return (templateItem && templateItem.fields) || (template && template.fields) || DEFAULT_FIELDS;
+}
+
+// Fill in defaults and reject definitions the modal can't render
+function normalizeField(field) {
+  const key = String(field.key || '').toLowerCase();
+
+  if (!FIELD_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid field key "${field.key}": use a-z, 0-9 and "_", starting with a letter`);
+  }
+
+  const type = field.type || 'text';
+  if (!FIELD_TYPES.includes(type)) {
+    throw new Error(`Invalid field type "${type}": expected one of ${FIELD_TYPES.join(', ')}`);
+  }
+
+  return {
+    key,
+    label: String(field.label || key).slice(0, 64),
+    type,
+    secret: Boolean(field.secret),
+    copyable: field.copyable !== false
+  };
+}
+
+// Empty value for every field, used when an item is created
+const emptyDetails = (fields) => Object.fromEntries(fields.map(field => [field.key, '']));
+
+// Checks submitted details against the schema.
+// Returns { details, errors }: trimmed string values by key, and one message per bad field.
+function validateDetails(fields, details) {
+  const byKey = new Map(fields.map(field => [field.key, field]));
+  const result = {};
+  const errors = [];
+
+  for (const [key, raw] of Object.entries(details || {})) {
+    const field = byKey.get(key);
+
+    if (!field) {
+      errors.push(`Unknown field "${key}"`);
+      continue;
+    }
+
+    if (raw !== null && typeof raw === 'object') {
+      errors.push(`${field.label} must be text`);
+      continue;
+    }
+
+    const value = raw == null ? '' : String(raw).trim();
+
+    if (value.length > MAX_VALUE_LENGTH) {
+      errors.push(`${field.label} is too long`);
+      continue;
+    }
+
+    const check = value && TYPE_CHECKS[field.type];
+    const error = check ? check(value) : null;
+
+    if (error) {
+      errors.push(`${field.label} ${error}`);
+      continue;
+    }
+
+    result[key] = value;
+  }
+
+  return { details: result, errors };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  DEFAULT_FIELDS,
+  fieldsFor,
+  normalizeField,
+  emptyDetails,
+  validateDetails
+};
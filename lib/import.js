@@ -0,0 +1,283 @@
+// ============================================
+// BULK IMPORT (CSV, JSON)
+// ============================================
+//
+// A client's spreadsheet becomes a new checklist in two steps:
+//
+//   const rows = parseImportFile(content, 'csv');
+//   const plan = planImport(template, rows, { statuses });   // dry run, shown to the user
+//   ...plan.updates are then applied to the template's fresh items
+//
+// Rows are matched to template items by id first, then by name (case-insensitive).
+// Columns other than item/id/status/checklist are details fields, found by key or
+// label. Files written by the export (lib/export) can be imported back, as long as
+// they were exported with details.
+//
+// Rows that can't be applied are reported, never half-applied:
+//   unmatched - no template item with that id or name
+//   conflicts - duplicate rows, unknown statuses, invalid or redacted details
+
+const { fieldsFor, validateDetails } = require('./fields');
+const { matchStatus } = require('./workflow');
+const { REDACTED } = require('./export');
+
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const MAX_IMPORT_ROWS = 2000;
+
+// Header names (lowercased) of the columns that aren't details fields
+const COLUMNS = {
+  checklist: ['checklist'],
+  itemId: ['item id', 'item_id', 'itemid', 'id'],
+  item: ['item', 'name', 'bank'],
+  status: ['status']
+};
+
+// Written by the export (CSV headers and JSON keys) but not imported
+const IGNORED_COLUMNS = ['due date', 'duedate', 'owner', 'last modified', 'lastmodified'];
+
+function columnRole(header) {
+  const key = header.trim().toLowerCase();
+  return Object.keys(COLUMNS).find(role => COLUMNS[role].includes(key)) || null;
+}
+
+// RFC 4180 with either "," or ";" (Excel in many locales) as the delimiter
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted value in CSV');
+  if (cell || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  return records;
+}
+
+// The export quotes values that spreadsheets would run as formulas, undo that
+const unescapeCell = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+function rowsFromCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header || !header.some(column => column.trim())) throw new Error('The file is empty');
+
+  const blank = (record) => !record.some(value => value.trim());
+
+  return records.map((record, index) => {
+    if (blank(record)) return null;
+
+    const row = { line: index + 2, checklist: '', itemId: '', item: '', status: '', values: {} };
+
+    header.forEach((column, col) => {
+      const value = unescapeCell((record[col] || '').trim());
+      const role = columnRole(column);
+      if (role) row[role] = value;
+      else if (column.trim()) row.values[column.trim()] = value;
+    });
+
+    return row;
+  }).filter(Boolean);
+}
+
+// Accepts the export's { checklists: [{ name, items }] } or a plain array of rows
+// like { item, status, login, ... } / { name, status, details: { ... } }
+function rowsFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  const entries = Array.isArray(data)
+    ? data.map(row => ({ checklist: '', row }))
+    : Array.isArray(data && data.checklists)
+      ? data.checklists.flatMap(c => (c.items || []).map(row => ({ checklist: c.name, row })))
+      : null;
+
+  if (!entries) throw new Error('Expected a list of rows or an export with "checklists"');
+
+  return entries.map(({ checklist, row }, index) => {
+    const result = { line: index + 1, checklist: String(checklist || ''), itemId: '', item: '', status: '', values: {} };
+    // Exported items carry both status and statusName, the id is the one to match
+    const plain = { ...(row && typeof row === 'object' ? row : {}) };
+    delete plain.statusName;
+    delete plain.ownerName;
+
+    for (const [key, value] of Object.entries(plain)) {
+      if (key === 'details' && value && typeof value === 'object') {
+        for (const [field, fieldValue] of Object.entries(value)) {
+          result.values[field] = fieldValue == null ? '' : String(fieldValue);
+        }
+        continue;
+      }
+
+      const role = columnRole(key);
+      const text = value == null ? '' : String(value).trim();
+      if (role) result[role] = text;
+      else result.values[key] = text;
+    }
+
+    return result;
+  });
+}
+
+// format: csv | json, guessed from the content when missing.
+// Returns [{ line, checklist, itemId, item, status, values: { column: value } }]
+function parseImportFile(content, format) {
+  const text = String(content || '').replace(/^\ufeff/, '');
+
+  if (Buffer.byteLength(text) > MAX_IMPORT_BYTES) {
+    throw new Error(`File is too large (max ${MAX_IMPORT_BYTES / 1024} KB)`);
+  }
+
+  const kind = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+  if (kind !== 'csv' && kind !== 'json') {
+    throw new Error(`Unknown import format "${kind}": expected csv or json`);
+  }
+
+  const rows = kind === 'json' ? rowsFromJson(text) : rowsFromCsv(text);
+
+  if (!rows.length) throw new Error('No rows to import');
+  if (rows.length > MAX_IMPORT_ROWS) throw new Error(`Too many rows (max ${MAX_IMPORT_ROWS})`);
+
+  return rows;
+}
+
+// Field key for a column header in a schema, by key or label
+function fieldKey(fields, column) {
+  const name = column.trim().toLowerCase();
+  const field = fields.find(f => f.key === name || f.label.toLowerCase() === name);
+  return field ? field.key : null;
+}
+
+// Dry run of an import into a new checklist from `template`.
+// Returns {
+//   updates:   [{ itemId, status, details }]   - to apply to the fresh items
+//   matched:   [{ line, itemId, name, status, fields }]
+//   unmatched: [{ line, name }]
+//   conflicts: [{ line, name, reason }]
+//   ignoredColumns: [header], untouched: template items no row matched
+//   checklistNames: distinct values of the checklist column
+// }
+function planImport(template, rows, { statuses }) {
+  const byId = new Map(template.items.map(item => [String(item.id), item]));
+  const byName = new Map(template.items.map(item => [item.name.trim().toLowerCase(), item]));
+  const usedBy = new Map();
+
+  const plan = { updates: [], matched: [], unmatched: [], conflicts: [], ignoredColumns: [], untouched: 0 };
+  const conflict = (row, reason) => plan.conflicts.push({ line: row.line, name: row.item || row.itemId, reason });
+
+  for (const row of rows) {
+    if (!row.item && !row.itemId) {
+      conflict(row, 'no item name or id');
+      continue;
+    }
+
+    const idMatch = row.itemId ? byId.get(row.itemId) : null;
+    const nameMatch = row.item ? byName.get(row.item.toLowerCase()) : null;
+
+    if (idMatch && nameMatch && idMatch !== nameMatch) {
+      conflict(row, `id ${row.itemId} is "${idMatch.name}" but the name matches "${nameMatch.name}"`);
+      continue;
+    }
+
+    const templateItem = idMatch || nameMatch;
+    if (!templateItem) {
+      plan.unmatched.push({ line: row.line, name: row.item || `#${row.itemId}` });
+      continue;
+    }
+
+    if (usedBy.has(templateItem.id)) {
+      conflict(row, `"${templateItem.name}" is already filled from line ${usedBy.get(templateItem.id)}`);
+      continue;
+    }
+
+    let status = null;
+    if (row.status) {
+      const found = matchStatus(statuses, row.status);
+      if (!found) {
+        conflict(row, `unknown status "${row.status}"`);
+        continue;
+      }
+      status = found.id;
+    }
+
+    const fields = fieldsFor(template, templateItem);
+    const details = {};
+    for (const [column, value] of Object.entries(row.values)) {
+      const key = fieldKey(fields, column);
+      if (key && value) details[key] = value;
+    }
+
+    const redacted = Object.keys(details).filter(key => details[key] === REDACTED);
+    if (redacted.length) {
+      conflict(row, `redacted values (${redacted.join(', ')}), export with details to import them`);
+      continue;
+    }
+
+    const { details: valid, errors } = validateDetails(fields, details);
+    if (errors.length) {
+      conflict(row, errors.join('; '));
+      continue;
+    }
+
+    usedBy.set(templateItem.id, row.line);
+    plan.updates.push({ itemId: templateItem.id, status, details: valid });
+    plan.matched.push({
+      line: row.line,
+      itemId: templateItem.id,
+      name: templateItem.name,
+      status,
+      fields: Object.keys(valid)
+    });
+  }
+
+  // Columns no item of the template has a field for
+  const schemas = template.items.map(item => fieldsFor(template, item));
+  const columns = new Set(rows.flatMap(row => Object.keys(row.values)));
+  plan.ignoredColumns = [...columns].filter(column =>
+    IGNORED_COLUMNS.includes(column.toLowerCase()) ||
+    !schemas.some(fields => fieldKey(fields, column))
+  );
+
+  plan.untouched = template.items.length - usedBy.size;
+  plan.checklistNames = [...new Set(rows.map(row => row.checklist).filter(Boolean))];
+
+  return plan;
+}
+
+module.exports = { MAX_IMPORT_BYTES, parseImportFile, planImport };
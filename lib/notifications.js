@@ -0,0 +1,67 @@
+// ============================================
+// BATCHED CHAT NOTIFICATIONS
+// ============================================
+//
+// Status changes are collected per chat and sent as one message when the
+// batch window closes, so a burst of taps in the Mini App becomes a single
+// Telegram message instead of one per tap.
+//
+//   const batcher = createBatcher({ delayMs: 30000, flush: (chatId, entries) => ... });
+//   batcher.add(chatId, entry);
+//
+// The window starts with the first entry for a chat; entries added while it
+// is open go into the same message.
+
+function createBatcher({ delayMs, flush }) {
+  const pending = new Map();
+
+  async function flushChat(chatId) {
+    const batch = pending.get(chatId);
+    if (!batch) return;
+    pending.delete(chatId);
+    clearTimeout(batch.timer);
+
+    try {
+      await flush(chatId, batch.entries);
+    } catch (err) {
+      console.error('Notification error:', err.message);
+    }
+  }
+
+  return {
+    add(chatId, entry) {
+      const key = String(chatId);
+      let batch = pending.get(key);
+
+      if (!batch) {
+        batch = { entries: [], timer: setTimeout(() => flushChat(key), delayMs) };
+        batch.timer.unref?.();
+        pending.set(key, batch);
+      }
+
+      batch.entries.push(entry);
+    }
+  };
+}
+
+// Several changes to the same item inside one batch collapse into first → last;
+// items that ended where they started are dropped
+function collapseStatusChanges(entries) {
+  const byItem = new Map();
+
+  for (const entry of entries) {
+    const key = `${entry.checklistId}:${entry.itemId}`;
+    const existing = byItem.get(key);
+
+    if (existing) {
+      existing.to = entry.to;
+      existing.actors.add(entry.actor);
+    } else {
+      byItem.set(key, { ...entry, actors: new Set([entry.actor]) });
+    }
+  }
+
+  return [...byItem.values()].filter(change => change.from !== change.to);
+}
+
+module.exports = { createBatcher, collapseStatusChanges };
@@ -0,0 +1,34 @@
+// ============================================
+// ROLES
+// ============================================
+//
+// viewer - sees checklists and statuses, no credentials, can't change anything
+// editor - changes items and credentials, creates checklists
+// admin  - everything, plus user/template management and deleting any checklist
+//
+// Users from before roles existed have no role: is_admin maps to admin, the rest to editor.
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+function getRole(user) {
+  if (!user) return null;
+  if (ROLES.includes(user.role)) return user.role;
+  return user.is_admin ? 'admin' : 'editor';
+}
+
+function hasRole(user, minimumRole) {
+  const role = getRole(user);
+  return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+// Only admins and whoever created the checklist may delete it
+function canDeleteChecklist(user, checklist) {
+  if (!user || !checklist) return false;
+  return getRole(user) === 'admin' ||
+    (user.telegram_id && String(checklist.created_by) === String(user.telegram_id));
+}
+
+// Fields to store when assigning a role (is_admin kept in sync for older code paths)
+const roleFields = (role) => ({ role, is_admin: role === 'admin' });
+
+module.exports = { ROLES, getRole, hasRole, canDeleteChecklist, roleFields };
@@ -0,0 +1,76 @@
+// ============================================
+// SEARCH
+// ============================================
+//
+// Case-insensitive substring search over checklist names, item names and the
+// non-secret details fields (email, phone, ...). Secret fields are never
+// searched, so a result can't leak a password one letter at a time.
+//
+// Phone-like queries also match with spaces, dashes and brackets ignored:
+// "+44 20" finds "+44 (20) 7946".
+
+const { decryptValue } = require('./credentials');
+
+const MIN_QUERY_LENGTH = 2;
+const SNIPPET_LENGTH = 60;
+
+const compact = (text) => text.replace(/[\s()-]/g, '');
+
+function matcher(query) {
+  const needle = query.trim().toLowerCase();
+  const compactNeedle = compact(needle);
+
+  return (text) => {
+    const haystack = String(text || '').toLowerCase();
+    return haystack.includes(needle) || (compactNeedle.length >= MIN_QUERY_LENGTH && compact(haystack).includes(compactNeedle));
+  };
+}
+
+const snippet = (value) =>
+  (value.length > SNIPPET_LENGTH ? `${value.slice(0, SNIPPET_LENGTH)}…` : value);
+
+// fieldsOf(checklist, itemId) - details schema of an item
+// withDetails - also search details values (callers allowed to see them)
+// Returns [{ checklistId, checklistName, itemId?, itemName?, field?, fieldLabel?, value? }],
+// checklist name matches first, at most `limit` results
+function searchChecklists(checklists, query, { fieldsOf, withDetails = false, limit = 50 }) {
+  if (String(query || '').trim().length < MIN_QUERY_LENGTH) return [];
+
+  const matches = matcher(query);
+  const byName = [];
+  const byItem = [];
+
+  for (const checklist of checklists) {
+    const base = { checklistId: checklist.id, checklistName: checklist.name };
+
+    if (matches(checklist.name)) byName.push(base);
+
+    for (const item of checklist.items) {
+      if (item.archivedAt) continue;
+
+      const result = { ...base, itemId: item.id, itemName: item.name };
+
+      if (matches(item.name)) {
+        byItem.push(result);
+        continue;
+      }
+
+      if (!withDetails) continue;
+
+      const details = item.details || {};
+      for (const field of fieldsOf(checklist, item.id)) {
+        if (field.secret || !details[field.key]) continue;
+
+        const value = decryptValue(details[field.key], field.key, { checklistId: checklist.id, itemId: item.id });
+        if (matches(value)) {
+          byItem.push({ ...result, field: field.key, fieldLabel: field.label, value: snippet(value) });
+          break;
+        }
+      }
+    }
+  }
+
+  return [...byName, ...byItem].slice(0, limit);
+}
+
+module.exports = { MIN_QUERY_LENGTH, searchChecklists };
@@ -0,0 +1,437 @@
+// ============================================
+// FILE STORAGE (local JSON file or in-memory)
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { parseItemsBlob, itemFieldsToRow, itemToRow, rowToItem, rowsToItems } = require('./items');
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+const sameId = (a, b) => String(a) === String(b);
+
+function emptyDatabase() {
+  return {
+    nextId: { users: 1, checklists: 1, item_events: 1, item_comments: 1, item_attachments: 1, subscriptions: 1, audit_log: 1 },
+    users: [],
+    settings: {},
+    checklists: [],
+    checklist_items: [],
+    item_events: [],
+    item_comments: [],
+    item_attachments: [],
+    subscriptions: [],
+    audit_log: []
+  };
+}
+
+// filePath = null keeps everything in memory (handy for tests)
+function createFileStorage({ filePath = null } = {}) {
+  let db = emptyDatabase();
+  let writing = Promise.resolve();
+  // Set once the file has been read (or found missing). Until then db is an empty
+  // placeholder, and writing it out would replace the real data
+  let loaded = !filePath;
+
+  const itemRowsOf = (checklistId) => db.checklist_items.filter(r => sameId(r.checklist_id, checklistId));
+  const withItems = (checklist) => ({ ...clone(checklist), items: clone(rowsToItems(itemRowsOf(checklist.id))) });
+
+  // One-time move of checklist.items arrays (older files) into checklist_items rows
+  function migrateItemBlobs() {
+    let migrated = 0;
+    for (const checklist of db.checklists) {
+      if (!checklist.items) continue;
+      if (!itemRowsOf(checklist.id).length) {
+        parseItemsBlob(checklist.items).forEach((item, index) => {
+          db.checklist_items.push(itemToRow(checklist.id, item, index));
+        });
+      }
+      delete checklist.items;
+      migrated++;
+    }
+    return migrated;
+  }
+
+  function nextId(table) {
+    const id = db.nextId[table] || 1;
+    db.nextId[table] = id + 1;
+    return id;
+  }
+
+  // Writes are chained so two saves never interleave; tmp + rename keeps the file intact on crash.
+  // A failed write rejects for its caller, so the change is reported instead of acked
+  function persist() {
+    if (!filePath) return Promise.resolve();
+
+    if (!loaded) {
+      return Promise.reject(new Error(`File storage was not loaded, refusing to overwrite ${filePath}`));
+    }
+
+    const snapshot = JSON.stringify(db, null, 2);
+    const write = writing.then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    // The next write still runs after a failed one
+    writing = write.catch(() => {});
+
+    return write;
+  }
+
+  return {
+    name: filePath ? 'file' : 'memory',
+
+    async init() {
+      if (!filePath) {
+        console.log('✅ Using in-memory storage');
+        return;
+      }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        const raw = await fs.promises.readFile(filePath, 'utf8');
+        db = { ...emptyDatabase(), ...JSON.parse(raw) };
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw new Error(`Could not load ${filePath}: ${err.message}`);
+        }
+      }
+      loaded = true;
+
+      const migrated = migrateItemBlobs();
+      if (migrated) console.log(`✅ Migrated items of ${migrated} checklists to checklist_items`);
+      await persist();
+
+      console.log(`✅ Using file storage: ${filePath}`);
+    },
+
+    // ---------- users ----------
+
+    async findWhitelistedUser({ telegramId, username }) {
+      const name = (username || '').toLowerCase();
+      const user = db.users.find(u =>
+        (u.telegram_id && sameId(u.telegram_id, telegramId)) ||
+        (name && (u.username || '').toLowerCase() === name)
+      );
+      return clone(user) || null;
+    },
+
+    async getUserByTelegramId(telegramId) {
+      return clone(db.users.find(u => u.telegram_id && sameId(u.telegram_id, telegramId))) || null;
+    },
+
+    async getUserByUsername(username) {
+      const name = username.toLowerCase();
+      return clone(db.users.find(u => (u.username || '').toLowerCase() === name)) || null;
+    },
+
+    async listUsers({ adminsOnly = false } = {}) {
+      return clone(db.users.filter(u => !adminsOnly || u.is_admin));
+    },
+
+    async createUser(fields) {
+      const user = {
+        id: nextId('users'),
+        is_admin: false,
+        created_at: new Date().toISOString(),
+        ...clone(fields)
+      };
+      db.users.push(user);
+      await persist();
+      return clone(user);
+    },
+
+    async updateUser(id, fields) {
+      const user = db.users.find(u => sameId(u.id, id));
+      if (!user) return;
+      Object.assign(user, clone(fields));
+      await persist();
+    },
+
+    async upsertUserByTelegramId(telegramId, fields) {
+      const user = db.users.find(u => u.telegram_id && sameId(u.telegram_id, telegramId));
+      if (user) {
+        Object.assign(user, clone(fields));
+        await persist();
+        return;
+      }
+      await this.createUser({ ...fields, telegram_id: telegramId });
+    },
+
+    async deleteUserByUsername(username) {
+      const name = username.toLowerCase();
+      const before = db.users.length;
+      db.users = db.users.filter(u => (u.username || '').toLowerCase() !== name);
+      const deleted = before - db.users.length;
+      if (deleted) await persist();
+      return deleted;
+    },
+
+    // ---------- settings ----------
+
+    async getSetting(key) {
+      return key in db.settings ? db.settings[key] : null;
+    },
+
+    async setSetting(key, value) {
+      db.settings[key] = value;
+      await persist();
+    },
+
+    // ---------- checklists ----------
+
+    async listChecklists({ groupId, archived = false } = {}) {
+      return db.checklists
+        .filter(c => Boolean(c.is_archived) === archived)
+        .filter(c => !groupId || c.group_id === groupId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(withItems);
+    },
+
+    async listAllChecklists() {
+      return db.checklists.map(withItems);
+    },
+
+    async getChecklist(id) {
+      const checklist = db.checklists.find(c => sameId(c.id, id));
+      return checklist ? withItems(checklist) : null;
+    },
+
+    async createChecklist({ items = [], ...fields }) {
+      const checklist = {
+        id: nextId('checklists'),
+        is_archived: false,
+        created_at: new Date().toISOString(),
+        ...clone(fields)
+      };
+      db.checklists.push(checklist);
+      items.forEach((item, index) => {
+        db.checklist_items.push(itemToRow(checklist.id, clone(item), index));
+      });
+      await persist();
+      return withItems(checklist);
+    },
+
+    async updateChecklist(id, fields) {
+      const checklist = db.checklists.find(c => sameId(c.id, id));
+      if (!checklist) return;
+      Object.assign(checklist, clone(fields));
+      await persist();
+    },
+
+    async deleteChecklist(id) {
+      db.checklists = db.checklists.filter(c => !sameId(c.id, id));
+      db.checklist_items = db.checklist_items.filter(r => !sameId(r.checklist_id, id));
+      db.item_events = db.item_events.filter(e => !sameId(e.checklist_id, id));
+      db.item_comments = db.item_comments.filter(c => !sameId(c.checklist_id, id));
+      db.item_attachments = db.item_attachments.filter(a => !sameId(a.checklist_id, id));
+      db.subscriptions = db.subscriptions.filter(s => !sameId(s.checklist_id, id));
+      await persist();
+    },
+
+    // ---------- checklist items ----------
+
+    async getItem(checklistId, itemId) {
+      const row = itemRowsOf(checklistId).find(r => sameId(r.item_id, itemId));
+      return row ? clone(rowToItem(row)) : null;
+    },
+
+    async updateItem(checklistId, itemId, fields, { expectedVersion } = {}) {
+      const row = itemRowsOf(checklistId).find(r => sameId(r.item_id, itemId));
+      if (!row) return false;
+
+      if (expectedVersion !== undefined) {
+        if ((row.version || 0) !== expectedVersion) return false;
+        row.version = expectedVersion + 1;
+      }
+
+      const { version, ...changes } = fields;
+      Object.assign(row, itemFieldsToRow(clone(changes)));
+      await persist();
+      return true;
+    },
+
+    // false when the item already exists
+    async insertItem(checklistId, item, position) {
+      if (itemRowsOf(checklistId).some(r => sameId(r.item_id, item.id))) return false;
+
+      db.checklist_items.push(itemToRow(checklistId, clone(item), position));
+      await persist();
+      return true;
+    },
+
+    async deleteItem(checklistId, itemId, { expectedVersion } = {}) {
+      const row = itemRowsOf(checklistId).find(r => sameId(r.item_id, itemId));
+      if (!row) return false;
+      if (expectedVersion !== undefined && (row.version || 0) !== expectedVersion) return false;
+
+      db.checklist_items = db.checklist_items.filter(r => r !== row);
+      await persist();
+      return true;
+    },
+
+    async replaceItems(checklistId, items) {
+      db.checklist_items = db.checklist_items.filter(r => !sameId(r.checklist_id, checklistId));
+      items.forEach((item, index) => {
+        db.checklist_items.push(itemToRow(checklistId, clone(item), index));
+      });
+      await persist();
+    },
+
+    async findItems({ name, status, groupId } = {}) {
+      const active = db.checklists.filter(c => !c.is_archived && (!groupId || c.group_id === groupId));
+
+      return active.flatMap(checklist =>
+        rowsToItems(itemRowsOf(checklist.id))
+          .filter(item => !item.archivedAt)
+          .filter(item => !name || item.name.toLowerCase() === name.toLowerCase())
+          .filter(item => !status || item.status === status)
+          .map(item => ({ ...clone(item), checklistId: checklist.id, checklistName: checklist.name }))
+      );
+    },
+
+    // ---------- item history ----------
+
+    async appendItemEvents(events) {
+      if (!events.length) return;
+
+      for (const event of events) {
+        db.item_events.push({
+          id: nextId('item_events'),
+          created_at: new Date().toISOString(),
+          ...clone(event)
+        });
+      }
+      await persist();
+    },
+
+    async listItemEvents({ checklistId, itemId, limit = 50 }) {
+      return clone(
+        db.item_events
+          .filter(e => sameId(e.checklist_id, checklistId))
+          .filter(e => itemId === undefined || sameId(e.item_id, itemId))
+          .sort((a, b) => b.id - a.id)
+          .slice(0, limit || undefined)
+      );
+    },
+
+    async updateItemEvent(id, fields) {
+      const event = db.item_events.find(e => sameId(e.id, id));
+      if (!event) return;
+      Object.assign(event, clone(fields));
+      await persist();
+    },
+
+    // ---------- item comments ----------
+
+    async listItemComments({ checklistId, itemId }) {
+      return clone(
+        db.item_comments
+          .filter(c => sameId(c.checklist_id, checklistId))
+          .filter(c => itemId === undefined || sameId(c.item_id, itemId))
+          .sort((a, b) => a.id - b.id)
+      );
+    },
+
+    async addItemComment(fields) {
+      const comment = {
+        id: nextId('item_comments'),
+        mentions: [],
+        created_at: new Date().toISOString(),
+        ...clone(fields)
+      };
+      db.item_comments.push(comment);
+      await persist();
+      return clone(comment);
+    },
+
+    // ---------- item attachments ----------
+
+    async listItemAttachments({ checklistId, itemId }) {
+      return clone(
+        db.item_attachments
+          .filter(a => sameId(a.checklist_id, checklistId))
+          .filter(a => itemId === undefined || sameId(a.item_id, itemId))
+          .sort((a, b) => a.id - b.id)
+      );
+    },
+
+    async getAttachment(id) {
+      return clone(db.item_attachments.find(a => sameId(a.id, id))) || null;
+    },
+
+    async addItemAttachment(fields) {
+      const attachment = {
+        id: nextId('item_attachments'),
+        created_at: new Date().toISOString(),
+        ...clone(fields)
+      };
+      db.item_attachments.push(attachment);
+      await persist();
+      return clone(attachment);
+    },
+
+    async deleteItemAttachment(id) {
+      db.item_attachments = db.item_attachments.filter(a => !sameId(a.id, id));
+      await persist();
+    },
+
+    // ---------- notification subscriptions ----------
+
+    async listSubscriptions({ chatId, groupId } = {}) {
+      return clone(
+        db.subscriptions
+          .filter(s => chatId === undefined || sameId(s.chat_id, chatId))
+          .filter(s => groupId === undefined || sameId(s.group_id, groupId))
+      );
+    },
+
+    async addSubscription(fields) {
+      const exists = db.subscriptions.some(s =>
+        sameId(s.chat_id, fields.chat_id) &&
+        sameId(s.group_id, fields.group_id) &&
+        sameId(s.checklist_id || 0, fields.checklist_id || 0)
+      );
+      if (exists) return null;
+
+      const subscription = {
+        id: nextId('subscriptions'),
+        checklist_id: null,
+        created_at: new Date().toISOString(),
+        ...clone(fields)
+      };
+      db.subscriptions.push(subscription);
+      await persist();
+      return clone(subscription);
+    },
+
+    async deleteSubscription(id) {
+      db.subscriptions = db.subscriptions.filter(s => !sameId(s.id, id));
+      await persist();
+    },
+
+    // ---------- audit log ----------
+
+    async appendAuditEvent(event) {
+      db.audit_log.push({
+        id: nextId('audit_log'),
+        details: {},
+        created_at: new Date().toISOString(),
+        ...clone(event)
+      });
+      await persist();
+    },
+
+    async listAuditEvents({ action, limit = 50 } = {}) {
+      return clone(
+        db.audit_log
+          .filter(e => !action || e.action === action)
+          .sort((a, b) => b.id - a.id)
+          .slice(0, limit || undefined)
+      );
+    }
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,54 @@
+// ============================================
+// STORAGE FACTORY
+// ============================================
+//
+// Every backend exposes the same async interface:
+//
+//   init()
+//   users:      findWhitelistedUser, getUserByTelegramId, getUserByUsername,
+//               listUsers, createUser, updateUser, upsertUserByTelegramId,
+//               deleteUserByUsername
+//   settings:   getSetting, setSetting
+//   checklists: listChecklists, listAllChecklists, getChecklist,
+//               createChecklist, updateChecklist, deleteChecklist
+//   items:      getItem, updateItem, insertItem, deleteItem, replaceItems, findItems
+//   history:    appendItemEvents, listItemEvents, updateItemEvent
+//   comments:   listItemComments, addItemComment
+//   attachments: listItemAttachments, getAttachment, addItemAttachment,
+//               deleteItemAttachment (metadata only, contents: lib/attachments)
+//   subscriptions: listSubscriptions, addSubscription, deleteSubscription
+//   audit:      appendAuditEvent, listAuditEvents
+//
+// Items are stored as checklist_items rows but checklists are always returned
+// with an `items` array in the shape the frontend expects.
+// updateItem(checklistId, itemId, fields, { expectedVersion }) is a compare-and-set
+// on the item's version: it resolves to false when another write got there first.
+// deleteItem takes the same expectedVersion.
+
+const path = require('path');
+const { createSupabaseStorage } = require('./supabase');
+const { createFileStorage } = require('./file');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'checklist.json');
+
+// STORAGE_DRIVER = supabase | file | memory
+// Without it: supabase when SUPABASE_URL/SUPABASE_KEY are set, local file otherwise
+function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || (env.SUPABASE_URL && env.SUPABASE_KEY ? 'supabase' : 'file');
+
+  switch (driver) {
+    case 'supabase':
+      if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+        throw new Error('SUPABASE_URL and SUPABASE_KEY are required for supabase storage');
+      }
+      return createSupabaseStorage({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+    case 'file':
+      return createFileStorage({ filePath: env.STORAGE_FILE || DEFAULT_FILE });
+    case 'memory':
+      return createFileStorage({ filePath: null });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createStorage, createSupabaseStorage, createFileStorage };
@@ -0,0 +1,70 @@
+// ============================================
+// CHECKLIST ITEM ROWS
+// ============================================
+//
+// Items live in their own checklist_items relation, one row per
+// (checklist_id, item_id). Handlers and socket payloads keep working with
+// the old item shape ({ id, name, status, emoji, details, lastModified, modifiedBy,
+// archivedAt, dueDate, owner, statusChangedAt, reminders }), these helpers convert
+// between the two.
+
+// Item fields that map to a differently named column
+const COLUMN_NAMES = {
+  id: 'item_id',
+  lastModified: 'last_modified',
+  modifiedBy: 'modified_by',
+  archivedAt: 'archived_at',
+  dueDate: 'due_date',
+  statusChangedAt: 'status_changed_at'
+};
+
+const ITEM_NAMES = Object.fromEntries(
+  Object.entries(COLUMN_NAMES).map(([field, column]) => [column, field])
+);
+
+// Older rows keep items as a JSON string, newer ones as jsonb
+function parseItemsBlob(items) {
+  if (!items) return [];
+  return typeof items === 'string' ? JSON.parse(items) : items;
+}
+
+function itemFieldsToRow(fields) {
+  const row = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined) row[COLUMN_NAMES[field] || field] = value;
+  }
+  return row;
+}
+
+function itemToRow(checklistId, item, position) {
+  return {
+    ...itemFieldsToRow(item),
+    checklist_id: checklistId,
+    position,
+    details: item.details || {},
+    version: item.version || 0
+  };
+}
+
+function rowToItem(row) {
+  const item = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (column === 'checklist_id' || column === 'position') continue;
+    item[ITEM_NAMES[column] || column] = value;
+  }
+  return item;
+}
+
+function rowsToItems(rows) {
+  return [...(rows || [])]
+    .sort((a, b) => a.position - b.position)
+    .map(rowToItem);
+}
+
+module.exports = {
+  parseItemsBlob,
+  itemFieldsToRow,
+  itemToRow,
+  rowToItem,
+  rowsToItems
+};
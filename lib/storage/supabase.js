@@ -0,0 +1,555 @@
+// ============================================
+// SUPABASE STORAGE
+// ============================================
+
+const { createClient } = require('@supabase/supabase-js');
+
+const { parseItemsBlob, itemFieldsToRow, itemToRow, rowToItem, rowsToItems } = require('./items');
+
+// Checklist rows come with their embedded checklist_items
+function parseChecklist(row) {
+  if (!row) return null;
+  const { checklist_items: itemRows, ...checklist } = row;
+  return { ...checklist, items: rowsToItems(itemRows) };
+}
+
+const CHECKLIST_SELECT = '*, checklist_items(*)';
+
+// ilike pattern matching the value itself, case-insensitively: % and _ are wildcards
+// otherwise, and "a_b" would also find "axb"
+const exactPattern = (value) => String(value).replace(/[\\%_]/g, char => `\\${char}`);
+
+function createSupabaseStorage({ url, key }) {
+  const supabase = createClient(url, key);
+
+  return {
+    name: 'supabase',
+
+    async init() {
+      // Tables are created via SQL in Supabase Dashboard, just check they exist
+      const { error } = await supabase
+        .from('users')
+        .select('id', { count: 'exact', head: true });
+
+      if (error) {
+        throw new Error(`Database tables not found, create them in Supabase Dashboard (${error.message})`);
+      }
+
+      console.log('✅ Database tables verified');
+      await this.migrateItemBlobs();
+    },
+
+    // One-time move of checklists.items JSON blobs into checklist_items rows
+    async migrateItemBlobs() {
+      const { data: legacy, error } = await supabase
+        .from('checklists')
+        .select('id, items')
+        .not('items', 'is', null);
+
+      if (error) throw error;
+
+      for (const checklist of legacy || []) {
+        const rows = parseItemsBlob(checklist.items)
+          .map((item, index) => itemToRow(checklist.id, item, index));
+
+        if (rows.length) {
+          const { error: insertError } = await supabase
+            .from('checklist_items')
+            .upsert(rows, { onConflict: 'checklist_id,item_id', ignoreDuplicates: true });
+
+          if (insertError) {
+            throw new Error(`Item migration failed, run db/migrations/002_checklist_items.sql (${insertError.message})`);
+          }
+        }
+
+        const { error: clearError } = await supabase
+          .from('checklists')
+          .update({ items: null })
+          .eq('id', checklist.id);
+
+        if (clearError) throw clearError;
+      }
+
+      if (legacy && legacy.length) {
+        console.log(`✅ Migrated items of ${legacy.length} checklists to checklist_items`);
+      }
+    },
+
+    // ---------- users ----------
+
+    // By telegram_id, else by username (users added with /adduser before their first /start)
+    async findWhitelistedUser({ telegramId, username }) {
+      if (telegramId) {
+        const user = await this.getUserByTelegramId(telegramId);
+        if (user) return user;
+      }
+
+      return username ? this.getUserByUsername(username) : null;
+    },
+
+    async getUserByTelegramId(telegramId) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('telegram_id', telegramId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async getUserByUsername(username) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .ilike('username', exactPattern(username))
+        .limit(1);
+
+      if (error) throw error;
+      return (data && data[0]) || null;
+    },
+
+    async listUsers({ adminsOnly = false } = {}) {
+      let query = supabase
+        .from('users')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (adminsOnly) query = query.eq('is_admin', true);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    async createUser(fields) {
+      const { data, error } = await supabase
+        .from('users')
+        .insert(fields)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async updateUser(id, fields) {
+      const { error } = await supabase
+        .from('users')
+        .update(fields)
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    async upsertUserByTelegramId(telegramId, fields) {
+      const { error } = await supabase
+        .from('users')
+        .upsert({ ...fields, telegram_id: telegramId }, { onConflict: 'telegram_id' });
+
+      if (error) throw error;
+    },
+
+    async deleteUserByUsername(username) {
+      const { data, error } = await supabase
+        .from('users')
+        .delete()
+        .ilike('username', exactPattern(username))
+        .select();
+
+      if (error) throw error;
+      return (data || []).length;
+    },
+
+    // ---------- settings ----------
+
+    async getSetting(key) {
+      const { data, error } = await supabase
+        .from('settings')
+        .select('value')
+        .eq('key', key)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? data.value : null;
+    },
+
+    async setSetting(key, value) {
+      const { error } = await supabase
+        .from('settings')
+        .upsert({
+          key,
+          value,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'key' });
+
+      if (error) throw error;
+    },
+
+    // ---------- checklists ----------
+
+    async listChecklists({ groupId, archived = false } = {}) {
+      let query = supabase
+        .from('checklists')
+        .select(CHECKLIST_SELECT)
+        .eq('is_archived', archived)
+        .order('created_at', { ascending: false });
+
+      if (groupId) query = query.eq('group_id', groupId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(parseChecklist);
+    },
+
+    async listAllChecklists() {
+      const { data, error } = await supabase
+        .from('checklists')
+        .select(CHECKLIST_SELECT);
+
+      if (error) throw error;
+      return (data || []).map(parseChecklist);
+    },
+
+    async getChecklist(id) {
+      const { data, error } = await supabase
+        .from('checklists')
+        .select(CHECKLIST_SELECT)
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      return parseChecklist(data);
+    },
+
+    async createChecklist({ items = [], ...fields }) {
+      const { data: checklist, error } = await supabase
+        .from('checklists')
+        .insert(fields)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      if (items.length) {
+        const { error: itemsError } = await supabase
+          .from('checklist_items')
+          .insert(items.map((item, index) => itemToRow(checklist.id, item, index)));
+
+        if (itemsError) {
+          await supabase.from('checklists').delete().eq('id', checklist.id);
+          throw itemsError;
+        }
+      }
+
+      return this.getChecklist(checklist.id);
+    },
+
+    async updateChecklist(id, fields) {
+      const { error } = await supabase
+        .from('checklists')
+        .update(fields)
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    async deleteChecklist(id) {
+      // checklist_items rows go with it (ON DELETE CASCADE)
+      const { error } = await supabase
+        .from('checklists')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    // ---------- checklist items ----------
+
+    async getItem(checklistId, itemId) {
+      const { data, error } = await supabase
+        .from('checklist_items')
+        .select('*')
+        .eq('checklist_id', checklistId)
+        .eq('item_id', itemId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? rowToItem(data) : null;
+    },
+
+    // Compare-and-set on the item's version; false when another write got there first
+    async updateItem(checklistId, itemId, fields, { expectedVersion } = {}) {
+      const { version, ...changes } = fields;
+      let query = supabase
+        .from('checklist_items')
+        .update({
+          ...itemFieldsToRow(changes),
+          ...(expectedVersion !== undefined && { version: expectedVersion + 1 })
+        })
+        .eq('checklist_id', checklistId)
+        .eq('item_id', itemId);
+
+      if (expectedVersion !== undefined) query = query.eq('version', expectedVersion);
+
+      const { data, error } = await query.select('item_id');
+      if (error) throw error;
+      return (data || []).length > 0;
+    },
+
+    // false when the item already exists
+    async insertItem(checklistId, item, position) {
+      const { error } = await supabase
+        .from('checklist_items')
+        .insert(itemToRow(checklistId, item, position));
+
+      if (error && error.code === '23505') return false;
+      if (error) throw error;
+      return true;
+    },
+
+    // Compare-and-set like updateItem
+    async deleteItem(checklistId, itemId, { expectedVersion } = {}) {
+      let query = supabase
+        .from('checklist_items')
+        .delete()
+        .eq('checklist_id', checklistId)
+        .eq('item_id', itemId);
+
+      if (expectedVersion !== undefined) query = query.eq('version', expectedVersion);
+
+      const { data, error } = await query.select('item_id');
+      if (error) throw error;
+      return (data || []).length > 0;
+    },
+
+    // Swap the whole item list. Upserted first and only then are the
+    // leftover rows deleted, so a failed request never leaves the checklist without items
+    async replaceItems(checklistId, items) {
+      if (items.length) {
+        const { error } = await supabase
+          .from('checklist_items')
+          .upsert(items.map((item, index) => itemToRow(checklistId, item, index)), {
+            onConflict: 'checklist_id,item_id'
+          });
+
+        if (error) throw error;
+      }
+
+      let query = supabase
+        .from('checklist_items')
+        .delete()
+        .eq('checklist_id', checklistId);
+
+      if (items.length) query = query.not('item_id', 'in', `(${items.map(item => parseInt(item.id)).join(',')})`);
+
+      const { error: deleteError } = await query;
+      if (deleteError) throw deleteError;
+    },
+
+    // e.g. findItems({ name: 'Revolut', status: 'DECLINED' }) across active checklists
+    async findItems({ name, status, groupId } = {}) {
+      let query = supabase
+        .from('checklist_items')
+        .select('*, checklists!inner(id, name, group_id, is_archived)')
+        .eq('checklists.is_archived', false)
+        .is('archived_at', null);
+
+      if (name) query = query.ilike('name', exactPattern(name));
+      if (status) query = query.eq('status', status);
+      if (groupId) query = query.eq('checklists.group_id', groupId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return (data || []).map(({ checklists: checklist, ...row }) => ({
+        ...rowToItem(row),
+        checklistId: checklist.id,
+        checklistName: checklist.name
+      }));
+    },
+
+    // ---------- item history ----------
+
+    async appendItemEvents(events) {
+      if (!events.length) return;
+
+      const { error } = await supabase
+        .from('item_events')
+        .insert(events);
+
+      if (error) throw error;
+    },
+
+    // Newest first; without itemId returns events of the whole checklist, limit: null = all
+    async listItemEvents({ checklistId, itemId, limit = 50 }) {
+      let query = supabase
+        .from('item_events')
+        .select('*')
+        .eq('checklist_id', checklistId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (limit) query = query.limit(limit);
+      if (itemId !== undefined) query = query.eq('item_id', itemId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    // Only for re-encrypting stored values, history is otherwise append-only
+    async updateItemEvent(id, fields) {
+      const { error } = await supabase
+        .from('item_events')
+        .update(fields)
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    // ---------- item comments ----------
+
+    // Oldest first, the order a thread is read in
+    async listItemComments({ checklistId, itemId }) {
+      let query = supabase
+        .from('item_comments')
+        .select('*')
+        .eq('checklist_id', checklistId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (itemId !== undefined) query = query.eq('item_id', itemId);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    async addItemComment(fields) {
+      const { data, error } = await supabase
+        .from('item_comments')
+        .insert(fields)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    // ---------- item attachments ----------
+
+    // Without itemId returns the attachments of the whole checklist
+    async listItemAttachments({ checklistId, itemId }) {
+      let query = supabase
+        .from('item_attachments')
+        .select('*')
+        .eq('checklist_id', checklistId)
+        .order('id', { ascending: true });
+
+      if (itemId !== undefined) query = query.eq('item_id', itemId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    async getAttachment(id) {
+      const { data, error } = await supabase
+        .from('item_attachments')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async addItemAttachment(fields) {
+      const { data, error } = await supabase
+        .from('item_attachments')
+        .insert(fields)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async deleteItemAttachment(id) {
+      const { error } = await supabase
+        .from('item_attachments')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    // ---------- notification subscriptions ----------
+
+    async listSubscriptions({ chatId, groupId } = {}) {
+      let query = supabase
+        .from('subscriptions')
+        .select('*')
+        .order('id', { ascending: true });
+
+      if (chatId !== undefined) query = query.eq('chat_id', String(chatId));
+      if (groupId !== undefined) query = query.eq('group_id', String(groupId));
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    // null when the chat is already subscribed to the same target
+    async addSubscription(fields) {
+      const { data, error } = await supabase
+        .from('subscriptions')
+        .insert(fields)
+        .select()
+        .single();
+
+      if (error && error.code === '23505') return null;
+      if (error) throw error;
+      return data;
+    },
+
+    async deleteSubscription(id) {
+      const { error } = await supabase
+        .from('subscriptions')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    // ---------- audit log ----------
+
+    async appendAuditEvent(event) {
+      const { error } = await supabase
+        .from('audit_log')
+        .insert(event);
+
+      if (error) throw error;
+    },
+
+    // Newest first, limit: null = all
+    async listAuditEvents({ action, limit = 50 } = {}) {
+      let query = supabase
+        .from('audit_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (action) query = query.eq('action', action);
+      if (limit) query = query.limit(limit);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,114 @@
+// ============================================
+// STATUS WORKFLOW
+// ============================================
+//
+// Item statuses are configurable (settings key 'status_workflow'):
+//
+//   { id: 'DOCS_REQUESTED', name: 'Docs requested', emoji: '📄', color: '#f5a623',
+//     transitions: ['IN_PROGRESS', 'DECLINED'] }
+//
+// transitions lists the statuses an item may move to next, null means any.
+// done marks outcomes that count as finished in progress summaries.
+// The first status is the one new items start in. Items whose status was
+// removed from the workflow may move to any status.
+
+const STATUS_ID_PATTERN = /^[A-Z][A-Z0-9_]{0,31}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_STATUSES = [
+  { id: 'NOT_STARTED', name: 'Not started', emoji: '⬜', color: '#8a8a8a', transitions: null, done: false },
+  { id: 'IN_PROGRESS', name: 'In progress', emoji: '💤', color: '#0088ff', transitions: null, done: false },
+  { id: 'APPROVED', name: 'Approved', emoji: '✅', color: '#31b545', transitions: null, done: true },
+  { id: 'DECLINED', name: 'Declined', emoji: '❌', color: '#e53935', transitions: null, done: true }
+];
+
+function findStatus(statuses, id) {
+  return statuses.find(s => s.id === id) || null;
+}
+
+// Lookup by id or (case-insensitive) name, for bot commands
+function matchStatus(statuses, query) {
+  const key = String(query || '').trim().toLowerCase();
+  return statuses.find(s => s.id.toLowerCase() === key || s.name.toLowerCase() === key) || null;
+}
+
+// Statuses an item in `fromId` may be moved to
+function allowedTransitions(statuses, fromId) {
+  const from = findStatus(statuses, fromId);
+  return statuses.filter(s =>
+    s.id !== fromId && (!from || !from.transitions || from.transitions.includes(s.id))
+  );
+}
+
+const canTransition = (statuses, fromId, toId) =>
+  allowedTransitions(statuses, fromId).some(s => s.id === toId);
+
+// Fill in defaults and reject definitions the app can't show
+function normalizeStatus(status) {
+  const id = String(status.id || '').toUpperCase();
+
+  if (!STATUS_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid status id "${status.id}": use A-Z, 0-9 and "_", starting with a letter`);
+  }
+
+  const color = status.color || '#8a8a8a';
+  if (!COLOR_PATTERN.test(color)) {
+    throw new Error(`Invalid colour "${color}": expected #rrggbb`);
+  }
+
+  return {
+    id,
+    name: String(status.name || id).slice(0, 64),
+    emoji: String(status.emoji || '⬜').slice(0, 16),
+    color: color.toLowerCase(),
+    transitions: Array.isArray(status.transitions) ? status.transitions.map(String) : null,
+    done: Boolean(status.done)
+  };
+}
+
+// A single emoji as the user would see it: one grapheme (flags, keycaps and
+// skin-tone or ZWJ sequences included) that is pictographic
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u;
+
+function isEmoji(value) {
+  if (typeof value !== 'string' || !value || value.length > 32) return false;
+  return [...graphemes.segment(value)].length === 1 && EMOJI_PATTERN.test(value);
+}
+
+// Item count per status in workflow order, statuses no longer in the workflow last.
+// Returns { total, done, counts: [{ id, name, emoji, color, count }] }, empty statuses skipped.
+function summarizeItems(statuses, items) {
+  const counts = new Map(statuses.map(s => [s.id, { ...s, count: 0 }]));
+  let done = 0;
+
+  for (const item of items) {
+    if (!counts.has(item.status)) {
+      counts.set(item.status, {
+        id: item.status, name: item.status, emoji: item.emoji, color: '#8a8a8a', done: false, count: 0
+      });
+    }
+    const entry = counts.get(item.status);
+    entry.count++;
+    if (entry.done) done++;
+  }
+
+  return {
+    total: items.length,
+    done,
+    counts: [...counts.values()]
+      .filter(entry => entry.count > 0)
+      .map(({ id, name, emoji, color, count }) => ({ id, name, emoji, color, count }))
+  };
+}
+
+module.exports = {
+  DEFAULT_STATUSES,
+  findStatus,
+  matchStatus,
+  allowedTransitions,
+  canTransition,
+  normalizeStatus,
+  summarizeItems,
+  isEmoji
+};
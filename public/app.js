@@ -57,20 +57,50 @@
   }
 })();
 
+// only: show just these statuses (all when empty), hidden: never show these.
+// sort: template | name | status | modified
+const DEFAULT_ITEM_VIEW = { only: [], hidden: [], sort: 'template' };
+const ITEM_VIEW_KEY = 'item_view';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// How long a mutation waits for the server's acknowledgement
+const MUTATION_TIMEOUT_MS = 10000;
+// Largest import file, the same limit as the server's lib/import.js
+const MAX_IMPORT_BYTES = 1024 * 1024;
+// How long a confirmed change stays marked with ✓
+const CONFIRMED_MS = 1500;
+
 class ChecklistApp {
   constructor() {
     this.checklists = [];
+    this.templates = [];
+    this.statuses = [];
+    this.members = [];
     this.currentChecklistId = null;
     this.currentItemId = null;
+    this.currentDetailsTab = 'details';
     this.userId = null;
     this.isAdmin = false;
+    this.role = 'viewer';
     this.groupId = 'default-group';
+    this.searchRequest = 0;
+    this.searchTimer = null;
+    // item-<checklistId>-<itemId> from a t.me/...?startapp= link, opened once checklists load
+    this.deepLink = null;
+    // Status filter and sort order of the checklist screen, remembered per user
+    this.itemView = { ...DEFAULT_ITEM_VIEW };
+    // Mutations made while the socket was down, sent in order once it is back: [{ event, data, ... }]
+    this.outbox = [];
     
     // Initialize Telegram Web App
     this.initTelegram();
+    this.loadItemView();
     
-    // Initialize Socket.io
-    this.socket = io();
+    // Initialize Socket.io - the server verifies initData on handshake
+    this.socket = io({
+      auth: { initData: window.Telegram?.WebApp?.initData || '' }
+    });
     this.setupSocketEvents();
     
     // Setup UI events
@@ -98,6 +128,11 @@ class ChecklistApp {
       if (chat) {
         this.groupId = chat.id.toString();
       }
+
+      const link = /^item-(\d+)-(\d+)$/.exec(webApp.initDataUnsafe?.start_param || '');
+      if (link) {
+        this.deepLink = { checklistId: link[1], itemId: link[2] };
+      }
     }
   }
 
@@ -127,13 +162,7 @@ class ChecklistApp {
 
       if (response.status === 403) {
         // User not in whitelist
-        document.getElementById('app').innerHTML = `
-          <div class="access-denied">
-            <h1>🔒 Access Denied</h1>
-            <p>This app is private.</p>
-            <p>Ask admin to add you to the whitelist.</p>
-          </div>
-        `;
+        this.showAccessDenied();
         return;
       }
 
@@ -144,8 +173,13 @@ class ChecklistApp {
       const data = await response.json();
       this.userId = data.userId;
       this.isAdmin = data.isAdmin;
+      this.role = data.role;
 
-      console.log('✅ Authenticated as:', this.userId, 'Admin:', this.isAdmin);
+      console.log('✅ Authenticated as:', this.userId, 'Role:', this.role);
+
+      // Viewers can't create checklists
+      document.getElementById('addBtn').classList.toggle('hidden', !this.canEdit());
+      document.getElementById('importBtn').classList.toggle('hidden', !this.isAdmin);
       
       this.loadChecklists();
     } catch (err) {
@@ -159,12 +193,75 @@ class ChecklistApp {
   // ============================================
 
   setupSocketEvents() {
+    // Connection indicator. Socket.io keeps retrying on its own after a drop
+    this.socket.on('connect', () => this.renderConnectionState());
+    this.socket.on('disconnect', () => this.renderConnectionState());
+    this.socket.io.on('reconnect_attempt', () => this.renderConnectionState());
+
+    // The server forgot our group room with the old connection, and the state may have
+    // moved on: reload everything, the queued mutations are sent once it has arrived
+    this.socket.io.on('reconnect', () => {
+      this.loadChecklists();
+    });
+
+    // Don't wait for the next retry when the phone reports the network is back
+    window.addEventListener('online', () => {
+      if (!this.socket.connected) this.socket.connect();
+    });
+
+    // Handshake rejected by the server
+    this.socket.on('connect_error', (err) => {
+      console.error('Socket error:', err.message);
+      if (err.message.startsWith('Access denied')) {
+        this.socket.disconnect();
+        this.showAccessDenied();
+      }
+    });
+
+    // Rejected by the server (e.g. checklist from another group)
+    this.socket.on('error', (data) => {
+      this.showNotification(`❌ ${data?.message || 'Error'}`);
+    });
+
     // Initial data
     this.socket.on('init', (data) => {
       console.log('Initialized with data');
       this.checklists = Array.isArray(data.checklists) 
         ? data.checklists 
         : Object.values(data.checklists || {});
+      this.templates = data.templates || [];
+      this.statuses = data.statuses || [];
+      this.renderTemplateOptions();
+      this.renderChecklistsList();
+      this.socket.emit('getMembers');
+      this.reconcileOpenViews();
+      this.flushOutbox();
+
+      if (this.deepLink) {
+        this.openSearchResult(this.deepLink.checklistId, this.deepLink.itemId);
+        this.deepLink = null;
+      }
+    });
+
+    // Whitelisted users, for the owner picker and names
+    this.socket.on('members', (data) => {
+      this.members = data.members || [];
+      this.renderChecklistItems();
+      this.renderChecklistAssignee();
+      this.renderChecklistsList();
+    });
+
+    // Status workflow changed by admin
+    this.socket.on('workflowUpdated', (data) => {
+      this.statuses = data.statuses || [];
+      this.renderChecklistsList();
+      this.renderChecklistItems();
+    });
+
+    // Template added by admin
+    this.socket.on('templatesUpdated', (data) => {
+      this.templates = data.templates || [];
+      this.renderTemplateOptions();
       this.renderChecklistsList();
     });
 
@@ -186,6 +283,9 @@ class ChecklistApp {
         if (item) {
           item.status = status;
           item.emoji = emoji;
+          this.refreshOpenHistory(itemId);
+          this.refreshOpenMyTasks();
+          this.renderChecklistsList();
           if (String(this.currentChecklistId) === String(checklistId)) {
             this.renderChecklistItems();
             if (modifiedBy !== this.userId) {
@@ -196,17 +296,45 @@ class ChecklistApp {
       }
     });
 
-    // Item details updated
+    // Item details updated (values are not broadcast, re-fetch if the modal is open)
     this.socket.on('detailsUpdated', (data) => {
-      const { checklistId, itemId, details, modifiedBy } = data;
+      const { checklistId, itemId, filledFields } = data;
       const checklist = this.checklists.find(c => String(c._id) === String(checklistId) || String(c.id) === String(checklistId));
       
       if (checklist) {
         const item = checklist.items.find(i => String(i._id) === String(itemId) || String(i.id) === String(itemId));
         if (item) {
-          item.details = details;
+          item.filledFields = filledFields;
           if (String(this.currentItemId) === String(itemId)) {
-            this.updateDetailsModal(item);
+            this.loadItemDetails();
+          }
+          this.refreshOpenHistory(itemId);
+        }
+      }
+    });
+
+    // Decrypted details for the open modal
+    this.socket.on('itemDetails', (data) => {
+      const { itemId, details } = data;
+      if (String(this.currentItemId) === String(itemId)) {
+        this.updateDetailsModal(details);
+      }
+    });
+
+    // Due date or owner changed
+    this.socket.on('itemPlanningUpdated', (data) => {
+      const { checklistId, itemId, dueDate, owner } = data;
+      const checklist = this.checklists.find(c => String(c._id) === String(checklistId) || String(c.id) === String(checklistId));
+
+      if (checklist) {
+        const item = checklist.items.find(i => String(i._id) === String(itemId) || String(i.id) === String(itemId));
+        if (item) {
+          item.dueDate = dueDate;
+          item.owner = owner;
+          this.refreshOpenHistory(itemId);
+          this.refreshOpenMyTasks();
+          if (String(this.currentChecklistId) === String(checklistId)) {
+            this.renderChecklistItems();
           }
         }
       }
@@ -228,6 +356,58 @@ class ChecklistApp {
       }
     });
 
+    // Comment thread of an item loaded, shown if its details are still open
+    this.socket.on('itemComments', (data) => {
+      const { itemId, comments } = data;
+      if (String(this.currentItemId) === String(itemId)) {
+        this.renderItemComments(comments);
+      }
+    });
+
+    // Comment posted by anyone in the group, appended if its thread is open
+    this.socket.on('itemCommentAdded', (data) => {
+      const { itemId, comment } = data;
+      if (String(this.currentItemId) !== String(itemId) || this.currentDetailsTab !== 'comments') return;
+
+      const list = document.getElementById('commentsList');
+      if (!list.querySelector('.comment')) list.innerHTML = '';
+      list.insertAdjacentHTML('beforeend', this.renderComment(comment));
+      list.lastElementChild.scrollIntoView({ block: 'nearest' });
+    });
+
+    this.socket.on('itemAttachments', (data) => {
+      const { itemId, attachments } = data;
+      if (String(this.currentItemId) === String(itemId)) {
+        this.renderItemAttachments(attachments);
+      }
+    });
+
+    // File uploaded by anyone in the group (Mini App or /attach)
+    this.socket.on('attachmentAdded', (data) => {
+      const { itemId, attachment } = data;
+      if (String(this.currentItemId) !== String(itemId) || this.currentDetailsTab !== 'files') return;
+
+      const list = document.getElementById('filesList');
+      if (!list.querySelector('.attachment')) list.innerHTML = '';
+      list.insertAdjacentHTML('beforeend', this.renderAttachment(attachment));
+    });
+
+    this.socket.on('attachmentDeleted', (data) => {
+      const row = document.querySelector(`.attachment[data-id="${data.attachmentId}"]`);
+      if (!row) return;
+
+      const list = row.parentElement;
+      row.remove();
+      if (!list.querySelector('.attachment')) list.innerHTML = '<p class="text-secondary">No files yet</p>';
+    });
+
+    this.socket.on('itemHistory', (data) => {
+      const { itemId, events } = data;
+      if (String(this.currentItemId) === String(itemId)) {
+        this.renderItemHistory(events);
+      }
+    });
+
     // Checklist deleted
     this.socket.on('checklistDeleted', (data) => {
       const { checklistId } = data;
@@ -236,7 +416,44 @@ class ChecklistApp {
         this.showChecklistScreen(null);
       }
       this.renderChecklistsList();
-      this.showNotification('🗑️ Checklist deleted');
+      this.showNotification('🗑️ Moved to trash');
+      this.refreshOpenTrash();
+    });
+
+    // Trash contents loaded
+    this.socket.on('trash', (data) => {
+      this.renderTrash(data);
+    });
+
+    // Checklist restored from the trash
+    this.socket.on('checklistRestored', (checklist) => {
+      this.checklists = this.checklists.filter(c => String(c.id) !== String(checklist.id));
+      this.checklists.push(checklist);
+      this.renderChecklistsList();
+      this.showNotification(`♻️ Restored "${checklist.name}"`);
+      this.refreshOpenTrash();
+    });
+
+    // Checklist assignee changed
+    this.socket.on('checklistAssigned', ({ checklistId, assignee }) => {
+      const checklist = this.checklists.find(c => String(c.id) === String(checklistId));
+      if (!checklist) return;
+
+      checklist.assignee = assignee;
+      this.renderChecklistsList();
+      this.refreshOpenMyTasks();
+      if (String(this.currentChecklistId) === String(checklistId)) {
+        this.renderChecklistAssignee();
+      }
+    });
+
+    this.socket.on('myTasks', (data) => {
+      this.renderMyTasks(data.tasks || []);
+    });
+
+    // Dry-run report of a bulk import
+    this.socket.on('importPreview', (preview) => {
+      this.renderImportReport(preview);
     });
 
     // Template updated by admin - refresh data
@@ -266,16 +483,94 @@ class ChecklistApp {
       this.createChecklist();
     });
 
+    // Status filter chips and sort order
+    document.getElementById('statusChips').addEventListener('click', (e) => {
+      const chip = e.target.closest('.status-chip');
+      if (!chip) return;
+      if (chip.dataset.status) this.toggleStatusFilter(chip.dataset.status);
+      else this.resetItemView();
+    });
+
+    document.getElementById('sortSelect').addEventListener('change', (e) => {
+      this.setItemView({ sort: e.target.value });
+    });
+
+    // Search - waits for a pause in typing before asking the server
+    document.getElementById('searchInput').addEventListener('input', (e) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.search(e.target.value), 250);
+    });
+
+    // Trash screen
+    document.getElementById('trashBtn').addEventListener('click', () => {
+      this.showTrashScreen(true);
+    });
+
+    document.getElementById('trashBackBtn').addEventListener('click', () => {
+      this.showTrashScreen(false);
+    });
+
+    // My tasks screen
+    document.getElementById('myTasksBtn').addEventListener('click', () => {
+      this.showMyTasksScreen(true);
+    });
+
+    document.getElementById('myTasksBackBtn').addEventListener('click', () => {
+      this.showMyTasksScreen(false);
+    });
+
+    document.getElementById('checklistAssigneeSelect').addEventListener('change', (e) => {
+      this.mutate('assignChecklist', {
+        checklistId: this.currentChecklistId,
+        assignee: e.target.value || null
+      });
+    });
+
+    // Bulk import screen
+    document.getElementById('importBtn').addEventListener('click', () => {
+      this.showImportScreen(true);
+    });
+
+    document.getElementById('importBackBtn').addEventListener('click', () => {
+      this.showImportScreen(false);
+    });
+
+    document.getElementById('previewImportBtn').addEventListener('click', () => {
+      this.sendImport('previewImport');
+    });
+
+    document.getElementById('runImportBtn').addEventListener('click', () => {
+      this.sendImport('runImport');
+    });
+
+    // A changed form needs a new preview before importing
+    ['importFileInput', 'importTemplateSelect', 'importNameInput'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        document.getElementById('runImportBtn').classList.add('hidden');
+      });
+    });
+
     // Back button
     document.getElementById('backBtn').addEventListener('click', () => {
       this.showChecklistScreen(null);
     });
 
-    // Delete checklist
+    // Delete checklist - asks to type the name first
     document.getElementById('deleteBtn').addEventListener('click', () => {
-      if (confirm('Are you sure? This action cannot be undone.')) {
-        this.socket.emit('deleteChecklist', { checklistId: this.currentChecklistId });
-      }
+      this.showDeleteModal();
+    });
+
+    document.getElementById('cancelDeleteBtn').addEventListener('click', () => {
+      this.hideDeleteModal();
+    });
+
+    document.getElementById('confirmDeleteBtn').addEventListener('click', () => {
+      this.deleteChecklist();
+    });
+
+    // Close status picker
+    document.getElementById('closeStatusBtn').addEventListener('click', () => {
+      this.hideStatusPicker();
     });
 
     // Close details modal
@@ -288,15 +583,64 @@ class ChecklistApp {
       this.saveItemDetails();
     });
 
-    // Copy buttons
-    document.querySelectorAll('.btn-copy').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const field = e.target.dataset.field;
-        const input = document.getElementById(field + 'Input');
-        this.copyToClipboard(input.value, field);
+    // Comments: send, and @mention suggestions while typing
+    document.getElementById('sendCommentBtn').addEventListener('click', () => {
+      this.sendComment();
+    });
+
+    document.getElementById('commentInput').addEventListener('input', () => {
+      this.showMentionSuggestions();
+    });
+
+    document.getElementById('mentionSuggestions').addEventListener('click', (e) => {
+      const suggestion = e.target.closest('.mention-suggestion');
+      if (suggestion) this.insertMention(suggestion.dataset.name);
+    });
+
+    // Files: upload, download and delete
+    document.getElementById('fileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.uploadAttachment(file);
+    });
+
+    document.getElementById('filesList').addEventListener('click', (e) => {
+      const download = e.target.closest('.attachment-name');
+      if (download) {
+        this.downloadAttachment(download.dataset.id, download.dataset.name);
+        return;
+      }
+
+      const remove = e.target.closest('.btn-delete-attachment');
+      if (remove && confirm('Delete this file?')) {
+        this.deleteAttachment(remove.dataset.id);
+      }
+    });
+
+    // Details / Comments / Files / History tabs
+    document.querySelectorAll('.details-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.showDetailsTab(tab.dataset.tab);
       });
     });
 
+    // Copy and reveal buttons of the rendered fields
+    document.getElementById('detailsBody').addEventListener('click', (e) => {
+      const button = e.target.closest('.btn-copy, .btn-reveal');
+      if (!button) return;
+
+      const input = this.detailInput(button.dataset.field);
+      if (!input) return;
+
+      if (button.classList.contains('btn-copy')) {
+        this.copyToClipboard(input.value, button.dataset.label);
+      } else {
+        const hidden = input.type === 'password';
+        input.type = hidden ? 'text' : 'password';
+        button.textContent = hidden ? '🙈' : '👁';
+      }
+    });
+
     // Enter key on name input
     document.getElementById('nameInput').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
@@ -321,6 +665,38 @@ class ChecklistApp {
     document.getElementById('createModal').classList.add('hidden');
   }
 
+  showDeleteModal() {
+    const checklist = this.checklists.find(c => String(c._id) === String(this.currentChecklistId) || String(c.id) === String(this.currentChecklistId));
+    if (!checklist) return;
+
+    const input = document.getElementById('deleteNameInput');
+    document.getElementById('deleteNameHint').textContent = checklist.name;
+    input.value = '';
+    document.getElementById('deleteModal').classList.remove('hidden');
+    input.focus();
+  }
+
+  hideDeleteModal() {
+    document.getElementById('deleteModal').classList.add('hidden');
+  }
+
+  deleteChecklist() {
+    const checklist = this.checklists.find(c => String(c._id) === String(this.currentChecklistId) || String(c.id) === String(this.currentChecklistId));
+    if (!checklist) return;
+
+    const confirmName = document.getElementById('deleteNameInput').value.trim();
+    if (confirmName.toLowerCase() !== checklist.name.trim().toLowerCase()) {
+      this.showNotification('⚠️ Name does not match');
+      return;
+    }
+
+    this.mutate('deleteChecklist', {
+      checklistId: this.currentChecklistId,
+      confirmName
+    });
+    this.hideDeleteModal();
+  }
+
   showDetailsModal(checklistId, itemId) {
     const checklist = this.checklists.find(c => String(c._id) === String(checklistId) || String(c.id) === String(checklistId));
     if (!checklist) return;
@@ -330,26 +706,230 @@ class ChecklistApp {
 
     this.currentItemId = itemId;
     document.getElementById('detailsTitle').textContent = item.name;
+
+    // Viewers don't get credentials, only the history
+    document.querySelector('.details-tab[data-tab="details"]').classList.toggle('hidden', !this.canEdit());
+    if (!this.canEdit()) {
+      this.showDetailsTab('history');
+      document.getElementById('detailsModal').classList.remove('hidden');
+      return;
+    }
     
-    // Fill in details
-    document.getElementById('loginInput').value = item.details?.login || '';
-    document.getElementById('passwordInput').value = item.details?.password || '';
-    document.getElementById('phoneInput').value = item.details?.phone || '';
-    document.getElementById('emailInput').value = item.details?.email || '';
+    this.renderPlanning(item);
+
+    // Credentials are only decrypted on request, fill in when they arrive
+    this.renderDetailFields(item.fields || []);
+    this.updateDetailsModal({});
+    this.loadItemDetails();
 
+    this.showDetailsTab('details');
     document.getElementById('detailsModal').classList.remove('hidden');
   }
 
+  showDetailsTab(tab) {
+    this.currentDetailsTab = tab;
+
+    document.querySelectorAll('.details-tab').forEach(el => {
+      el.classList.toggle('active', el.dataset.tab === tab);
+    });
+    document.getElementById('detailsBody').classList.toggle('hidden', tab !== 'details');
+    document.getElementById('planningBody').classList.toggle('hidden', tab !== 'details');
+    document.getElementById('saveDetailsBtn').classList.toggle('hidden', tab !== 'details');
+    document.getElementById('historyBody').classList.toggle('hidden', tab !== 'history');
+    document.getElementById('commentsBody').classList.toggle('hidden', tab !== 'comments');
+    document.getElementById('filesBody').classList.toggle('hidden', tab !== 'files');
+
+    if (tab === 'history') {
+      this.loadItemHistory();
+    }
+
+    if (tab === 'comments') {
+      this.loadItemComments();
+    }
+
+    if (tab === 'files') {
+      this.loadItemAttachments();
+    }
+  }
+
+  loadItemAttachments() {
+    document.getElementById('filesList').innerHTML = '<p class="text-secondary">Loading...</p>';
+    document.getElementById('uploadForm').classList.toggle('hidden', !this.canEdit());
+    this.socket.emit('getItemAttachments', {
+      checklistId: this.currentChecklistId,
+      itemId: this.currentItemId
+    });
+  }
+
+  // The row is dimmed until the server answers, 'attachmentDeleted' removes it
+  async deleteAttachment(attachmentId) {
+    const row = document.querySelector(`.attachment[data-id="${attachmentId}"]`);
+    row?.classList.add('pending');
+
+    const result = await this.mutate('deleteAttachment', { attachmentId });
+    if (!result.ok) row?.classList.remove('pending');
+  }
+
+  // The file goes over HTTP, sockets aren't meant for large payloads.
+  // Everyone with the item open gets it through 'attachmentAdded'
+  async uploadAttachment(file) {
+    const label = document.getElementById('uploadForm');
+    label.classList.add('uploading');
+
+    try {
+      const response = await fetch(
+        `/api/checklists/${this.currentChecklistId}/items/${this.currentItemId}/attachments`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Telegram-Init-Data': window.Telegram?.WebApp?.initData || '',
+            'X-File-Name': encodeURIComponent(file.name),
+            'X-File-Type': file.type || 'application/octet-stream'
+          },
+          body: file
+        }
+      );
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Upload failed');
+      }
+
+      this.showNotification(`📎 ${data.fileName} attached`);
+    } catch (err) {
+      console.error('Upload error:', err);
+      this.showNotification(`❌ ${err.message}`);
+    } finally {
+      label.classList.remove('uploading');
+    }
+  }
+
+  // A plain link can't carry the initData header, so the file is fetched and saved from a blob
+  async downloadAttachment(id, fileName) {
+    try {
+      const response = await fetch(`/api/attachments/${id}`, {
+        headers: { 'X-Telegram-Init-Data': window.Telegram?.WebApp?.initData || '' }
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Download failed');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      console.error('Download error:', err);
+      this.showNotification(`❌ ${err.message}`);
+    }
+  }
+
+  loadItemComments() {
+    document.getElementById('commentsList').innerHTML = '<p class="text-secondary">Loading...</p>';
+    document.getElementById('commentForm').classList.toggle('hidden', !this.canEdit());
+    this.socket.emit('getItemComments', {
+      checklistId: this.currentChecklistId,
+      itemId: this.currentItemId
+    });
+  }
+
+  async sendComment() {
+    const input = document.getElementById('commentInput');
+    const button = document.getElementById('sendCommentBtn');
+    const body = input.value.trim();
+    if (!body) return;
+
+    if (!this.socket.connected) {
+      this.showNotification('📴 Will be sent when back online');
+    }
+
+    input.value = '';
+    this.hideMentionSuggestions();
+    button.disabled = true;
+
+    // The comment itself shows up with 'itemCommentAdded'
+    const result = await this.mutate('addItemComment', {
+      checklistId: this.currentChecklistId,
+      itemId: this.currentItemId,
+      body
+    });
+
+    button.disabled = false;
+    // Not posted: give the text back so it isn't lost
+    if (!result.ok && !input.value) input.value = body;
+  }
+
+  // Members whose username starts with the @word being typed at the cursor
+  showMentionSuggestions() {
+    const input = document.getElementById('commentInput');
+    const typed = /(?:^|\s)@(\w*)$/.exec(input.value.slice(0, input.selectionStart));
+    const matches = typed
+      ? this.members.filter(m => m.name.startsWith('@') && m.name.slice(1).toLowerCase().startsWith(typed[1].toLowerCase()))
+      : [];
+
+    const container = document.getElementById('mentionSuggestions');
+    container.classList.toggle('hidden', !matches.length);
+    container.innerHTML = matches
+      .slice(0, 6)
+      .map(m => `<button class="mention-suggestion" data-name="${this.escapeHtml(m.name)}">${this.escapeHtml(m.name)}</button>`)
+      .join('');
+  }
+
+  hideMentionSuggestions() {
+    document.getElementById('mentionSuggestions').classList.add('hidden');
+  }
+
+  insertMention(name) {
+    const input = document.getElementById('commentInput');
+    const before = input.value.slice(0, input.selectionStart).replace(/@\w*$/, `${name} `);
+    input.value = before + input.value.slice(input.selectionStart);
+    input.focus();
+    input.setSelectionRange(before.length, before.length);
+    this.hideMentionSuggestions();
+  }
+
+  loadItemHistory() {
+    document.getElementById('historyBody').innerHTML = '<p class="text-secondary">Loading...</p>';
+    this.socket.emit('getItemHistory', {
+      checklistId: this.currentChecklistId,
+      itemId: this.currentItemId
+    });
+  }
+
+  // Someone changed the item whose History tab is open
+  refreshOpenHistory(itemId) {
+    if (String(this.currentItemId) === String(itemId) && this.currentDetailsTab === 'history') {
+      this.loadItemHistory();
+    }
+  }
+
   hideDetailsModal() {
     document.getElementById('detailsModal').classList.add('hidden');
     this.currentItemId = null;
   }
 
-  updateDetailsModal(item) {
-    document.getElementById('loginInput').value = item.details?.login || '';
-    document.getElementById('passwordInput').value = item.details?.password || '';
-    document.getElementById('phoneInput').value = item.details?.phone || '';
-    document.getElementById('emailInput').value = item.details?.email || '';
+  loadItemDetails() {
+    this.socket.emit('getItemDetails', {
+      checklistId: this.currentChecklistId,
+      itemId: this.currentItemId
+    });
+  }
+
+  detailInput(key) {
+    return document.querySelector(`#detailsBody .detail-input[data-field="${CSS.escape(key)}"]`);
+  }
+
+  updateDetailsModal(details) {
+    document.querySelectorAll('#detailsBody .detail-input').forEach(input => {
+      input.value = details[input.dataset.field] || '';
+    });
   }
 
   // ============================================
@@ -369,9 +949,9 @@ class ChecklistApp {
       return;
     }
 
-    this.socket.emit('createChecklist', {
+    this.mutate('createChecklist', {
       name,
-      userId: this.userId,
+      templateId: document.getElementById('templateSelect').value,
       groupId: this.groupId
     });
 
@@ -400,49 +980,469 @@ class ChecklistApp {
     }
     
     document.getElementById('checklistTitle').textContent = checklist.name;
+    document.getElementById('deleteBtn').classList.toggle('hidden', !this.canDelete(checklist));
     document.getElementById('checklistScreen').classList.remove('hidden');
     document.getElementById('listScreen').classList.add('hidden');
     
+    this.renderChecklistAssignee();
     this.renderChecklistItems();
   }
 
-  updateItemStatus(checklistId, itemId) {
-    this.socket.emit('updateItemStatus', {
-      checklistId,
-      itemId,
-      userId: this.userId
-    });
-  }
-
-  saveItemDetails() {
-    const checklist = this.checklists.find(c => String(c._id) === String(this.currentChecklistId) || String(c.id) === String(this.currentChecklistId));
-    if (!checklist) return;
-    const item = checklist.items.find(i => String(i._id) === String(this.currentItemId) || String(i.id) === String(this.currentItemId));
+  async search(text) {
+    const query = text.trim();
+    const request = ++this.searchRequest;
 
-    const details = {
-      login: document.getElementById('loginInput').value,
-      password: document.getElementById('passwordInput').value,
-      phone: document.getElementById('phoneInput').value,
-      email: document.getElementById('emailInput').value
-    };
+    document.getElementById('listScreen').classList.toggle('searching', query.length >= 2);
+    if (query.length < 2) return;
 
-    this.socket.emit('updateItemDetails', {
-      checklistId: this.currentChecklistId,
-      itemId: this.currentItemId,
-      details,
-      userId: this.userId
-    });
+    try {
+      const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`, {
+        headers: { 'X-Telegram-Init-Data': window.Telegram?.WebApp?.initData || '' }
+      });
+      const data = await response.json();
 
-    this.hideDetailsModal();
-    this.showNotification('💾 Saved');
-  }
+      // A newer search was started while this one was on its way
+      if (request !== this.searchRequest) return;
 
-  // ============================================
-  // RENDERING
-  // ============================================
+      if (!response.ok) {
+        throw new Error(data.error || 'Search failed');
+      }
 
-  loadChecklists() {
-    this.socket.emit('init', { groupId: this.groupId });
+      this.renderSearchResults(data.results);
+    } catch (err) {
+      console.error('Search error:', err);
+      this.showNotification(`❌ ${err.message}`);
+    }
+  }
+
+  // Checklist results open the checklist, item results its details modal
+  openSearchResult(checklistId, itemId) {
+    this.showChecklistScreen(checklistId);
+    if (itemId && String(this.currentChecklistId) === String(checklistId)) {
+      this.showDetailsModal(checklistId, itemId);
+    }
+  }
+
+  showTrashScreen(visible) {
+    document.getElementById('trashScreen').classList.toggle('hidden', !visible);
+    document.getElementById('listScreen').classList.toggle('hidden', visible);
+
+    if (visible) {
+      document.getElementById('trashList').innerHTML = '<p class="text-secondary">Loading...</p>';
+      this.socket.emit('getTrash');
+    }
+  }
+
+  refreshOpenTrash() {
+    if (!document.getElementById('trashScreen').classList.contains('hidden')) {
+      this.socket.emit('getTrash');
+    }
+  }
+
+  showMyTasksScreen(visible) {
+    document.getElementById('myTasksScreen').classList.toggle('hidden', !visible);
+    document.getElementById('listScreen').classList.toggle('hidden', visible);
+
+    if (visible) {
+      document.getElementById('myTasksList').innerHTML = '<p class="text-secondary">Loading...</p>';
+      this.socket.emit('getMyTasks');
+    }
+  }
+
+  refreshOpenMyTasks() {
+    if (!document.getElementById('myTasksScreen').classList.contains('hidden')) {
+      this.socket.emit('getMyTasks');
+    }
+  }
+
+  openTask(checklistId, itemId) {
+    this.showMyTasksScreen(false);
+    this.openSearchResult(checklistId, itemId);
+  }
+
+  showImportScreen(visible) {
+    document.getElementById('importScreen').classList.toggle('hidden', !visible);
+    document.getElementById('listScreen').classList.toggle('hidden', visible);
+
+    if (visible) {
+      document.getElementById('importFileInput').value = '';
+      document.getElementById('importNameInput').value = '';
+      document.getElementById('importReport').innerHTML = '';
+      document.getElementById('runImportBtn').classList.add('hidden');
+    }
+  }
+
+  // previewImport (dry run) or runImport, both with the file contents
+  async sendImport(event) {
+    const file = document.getElementById('importFileInput').files[0];
+
+    if (!file) {
+      this.showNotification('⚠️ Choose a CSV or JSON file');
+      return;
+    }
+
+    if (file.size > MAX_IMPORT_BYTES) {
+      this.showNotification(`❌ File is too large (max ${MAX_IMPORT_BYTES / 1024} KB)`);
+      return;
+    }
+
+    // Imports need the server's dry run first, so they aren't queued
+    if (!this.socket.connected) {
+      this.showNotification('📴 Offline, try again when the connection is back');
+      return;
+    }
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    const data = {
+      templateId: document.getElementById('importTemplateSelect').value,
+      name: document.getElementById('importNameInput').value.trim(),
+      format: ['csv', 'json'].includes(extension) ? extension : undefined,
+      content: await file.text()
+    };
+
+    if (event === 'previewImport') {
+      this.socket.emit('previewImport', data);
+      this.showNotification('⏳ Checking file...');
+      return;
+    }
+
+    this.showNotification('⏳ Importing...');
+    const result = await this.mutate('runImport', data);
+    if (!result.ok) return;
+
+    this.showNotification(`📥 Imported ${result.imported} rows into "${result.name}"`);
+    this.showImportScreen(false);
+    this.showChecklistScreen(result.checklistId);
+  }
+
+  restoreChecklist(checklistId) {
+    this.mutate('restoreChecklist', { checklistId });
+  }
+
+  showStatusPicker(checklistId, itemId) {
+    if (!this.canEdit()) {
+      this.showNotification('👁 View only');
+      return;
+    }
+
+    const checklist = this.checklists.find(c => String(c._id) === String(checklistId) || String(c.id) === String(checklistId));
+    if (!checklist) return;
+    const item = checklist.items.find(i => String(i._id) === String(itemId) || String(i.id) === String(itemId));
+    if (!item) return;
+
+    const current = this.findStatus(item.status);
+    const allowed = this.allowedStatuses(item.status);
+
+    document.getElementById('statusTitle').textContent = item.name;
+    document.getElementById('statusOptions').innerHTML = `
+      <div class="status-option current" style="border-color: ${current ? current.color : 'var(--tg-border)'}">
+        <span>${this.escapeHtml(current ? current.emoji : item.emoji)}</span>
+        <span>${this.escapeHtml(current ? current.name : item.status)}</span>
+        <span class="text-secondary">current</span>
+      </div>
+      ${allowed.map(status => `
+        <button class="status-option" style="border-color: ${status.color}"
+          onclick="app.updateItemStatus('${checklistId}', '${itemId}', '${status.id}')">
+          <span>${this.escapeHtml(status.emoji)}</span>
+          <span>${this.escapeHtml(status.name)}</span>
+        </button>
+      `).join('') || '<p class="text-secondary">The workflow allows no other status from here</p>'}
+    `;
+
+    document.getElementById('statusModal').classList.remove('hidden');
+  }
+
+  hideStatusPicker() {
+    document.getElementById('statusModal').classList.add('hidden');
+  }
+
+  updateItemStatus(checklistId, itemId, status) {
+    this.hideStatusPicker();
+
+    this.mutate('updateItemStatus', {
+      checklistId,
+      itemId,
+      status
+    });
+  }
+
+  async saveItemDetails() {
+    const checklist = this.checklists.find(c => String(c._id) === String(this.currentChecklistId) || String(c.id) === String(this.currentChecklistId));
+    if (!checklist) return;
+    const item = checklist.items.find(i => String(i._id) === String(this.currentItemId) || String(i.id) === String(this.currentItemId));
+
+    const inputs = [...document.querySelectorAll('#detailsBody .detail-input')];
+
+    // Same checks the server runs, so a typo doesn't close the modal
+    const invalid = inputs.find(input => !input.checkValidity());
+    if (invalid) {
+      this.showNotification(`⚠️ Check ${invalid.dataset.label}`);
+      invalid.focus();
+      return;
+    }
+
+    const details = Object.fromEntries(inputs.map(input => [input.dataset.field, input.value]));
+
+    const dueDate = document.getElementById('dueDateInput').value || null;
+    const owner = document.getElementById('ownerSelect').value || null;
+
+    const itemId = this.currentItemId;
+    const online = this.socket.connected;
+    const saves = [];
+
+    if (item && ((item.dueDate || null) !== dueDate || (item.owner || null) !== owner)) {
+      saves.push(this.mutate('updateItemPlanning', {
+        checklistId: this.currentChecklistId,
+        itemId,
+        dueDate,
+        owner
+      }));
+    }
+
+    saves.push(this.mutate('updateItemDetails', {
+      checklistId: this.currentChecklistId,
+      itemId,
+      details
+    }));
+
+    if (!online) {
+      this.hideDetailsModal();
+      this.showNotification('📴 Saved offline, will sync when back online');
+      return;
+    }
+
+    // The modal stays open until the server has the change, so a failed save keeps what was typed
+    const saveButton = document.getElementById('saveDetailsBtn');
+    saveButton.disabled = true;
+    saveButton.textContent = '⏳ Saving...';
+
+    const results = await Promise.all(saves);
+
+    saveButton.disabled = false;
+    saveButton.textContent = 'Save';
+
+    if (!results.every(result => result.ok)) return;
+
+    if (String(this.currentItemId) === String(itemId)) {
+      this.hideDetailsModal();
+    }
+    this.showNotification('💾 Saved');
+  }
+
+  // ============================================
+  // CONNECTION AND OFFLINE QUEUE
+  // ============================================
+
+  // Send a mutation, or queue it while offline. Resolves with the server's answer,
+  // { ok: true, ... } or { ok: false, error }, once it has been acknowledged.
+  // Changes the client knows how to show are applied right away and marked pending;
+  // a failure is reported and rolls them back, callers only reset their own controls
+  mutate(event, data) {
+    return new Promise(resolve => {
+      const entry = { event, data, resolve, undo: this.applyLocally(event, data) };
+
+      if (this.socket.connected) {
+        this.sendMutation(entry);
+      } else {
+        this.outbox.push(entry);
+        this.renderConnectionState();
+      }
+    });
+  }
+
+  sendMutation(entry) {
+    const { event, data, resolve } = entry;
+
+    this.socket.timeout(MUTATION_TIMEOUT_MS).emit(event, data, (err, result) => {
+      if (err) {
+        // The change may or may not have been saved, the server's state decides
+        this.showNotification('⚠️ No answer from the server, refreshing...');
+        this.loadChecklists();
+        resolve({ ok: false, error: 'No answer from the server' });
+        return;
+      }
+
+      if (result.ok) {
+        this.confirmLocally(event, data);
+      } else {
+        entry.undo();
+        this.showNotification(`❌ ${result.error}`);
+        // Lost the race against other writers too many times: reload the real state
+        if (result.conflict) this.loadChecklists();
+      }
+
+      resolve(result);
+    });
+  }
+
+  // Optimistic update of what a mutation changes in the loaded checklists.
+  // Returns the function that puts it back
+  applyLocally(event, data) {
+    const checklist = this.checklists.find(c => String(c.id) === String(data.checklistId));
+    const item = checklist && checklist.items.find(i => String(i.id) === String(data.itemId));
+
+    let undo;
+    if (event === 'updateItemStatus' && item) {
+      const { status, emoji } = item;
+      const target = this.findStatus(data.status);
+      item.status = data.status;
+      if (target) item.emoji = target.emoji;
+      item.pending = true;
+      undo = () => Object.assign(item, { status, emoji, pending: false });
+    } else if (event === 'updateItemPlanning' && item) {
+      const { dueDate, owner } = item;
+      item.dueDate = data.dueDate;
+      item.owner = data.owner;
+      item.pending = true;
+      undo = () => Object.assign(item, { dueDate, owner, pending: false });
+    } else if (event === 'assignChecklist' && checklist) {
+      const { assignee } = checklist;
+      checklist.assignee = data.assignee;
+      undo = () => Object.assign(checklist, { assignee });
+    } else {
+      return () => {};
+    }
+
+    this.renderChangedChecklist(data.checklistId);
+    return () => {
+      undo();
+      this.renderChangedChecklist(data.checklistId);
+    };
+  }
+
+  // The item is no longer pending, and shows ✓ for a moment
+  confirmLocally(event, data) {
+    if (event !== 'updateItemStatus' && event !== 'updateItemPlanning') return;
+
+    const checklist = this.checklists.find(c => String(c.id) === String(data.checklistId));
+    const item = checklist && checklist.items.find(i => String(i.id) === String(data.itemId));
+    if (!item) return;
+
+    item.pending = false;
+    item.confirmed = true;
+    this.renderChangedChecklist(data.checklistId);
+
+    setTimeout(() => {
+      item.confirmed = false;
+      document.querySelector(`.item[data-item-id="${item.id}"]`)?.classList.remove('confirmed');
+    }, CONFIRMED_MS);
+  }
+
+  renderChangedChecklist(checklistId) {
+    this.renderChecklistsList();
+    if (String(this.currentChecklistId) === String(checklistId)) {
+      this.renderChecklistItems();
+      this.renderChecklistAssignee();
+    }
+  }
+
+  // Called with fresh state from the server, so queued changes apply on top of it
+  flushOutbox() {
+    while (this.outbox.length && this.socket.connected) {
+      const entry = this.outbox.shift();
+      entry.undo = this.applyLocally(entry.event, entry.data);
+      this.sendMutation(entry);
+    }
+
+    this.renderConnectionState();
+  }
+
+  // Views showing server data that may have changed while we were away. The details
+  // form is left alone, so nothing typed into it is lost
+  reconcileOpenViews() {
+    if (this.currentChecklistId) {
+      this.renderChecklistItems();
+      this.renderChecklistAssignee();
+    }
+
+    if (this.currentItemId) {
+      if (this.currentDetailsTab === 'comments') this.loadItemComments();
+      if (this.currentDetailsTab === 'files') this.loadItemAttachments();
+      this.refreshOpenHistory(this.currentItemId);
+    }
+
+    this.refreshOpenMyTasks();
+    if (!document.getElementById('trashScreen').classList.contains('hidden')) {
+      this.socket.emit('getTrash');
+    }
+  }
+
+  renderConnectionState() {
+    const banner = document.getElementById('connectionBanner');
+    const queued = this.outbox.length;
+
+    banner.classList.toggle('hidden', this.socket.connected);
+    banner.textContent = queued
+      ? `📴 Offline · ${queued} change${queued === 1 ? '' : 's'} will sync when back online`
+      : '📴 Offline · reconnecting...';
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  loadChecklists() {
+    this.socket.emit('init', { groupId: this.groupId });
+  }
+
+  renderTemplateOptions() {
+    const select = document.getElementById('templateSelect');
+    const importSelect = document.getElementById('importTemplateSelect');
+    const selected = select.value;
+    const importSelected = importSelect.value;
+
+    select.innerHTML = this.templates
+      .map(template => `
+        <option value="${this.escapeHtml(template.id)}">
+          ${this.escapeHtml(template.name)} (${template.itemCount})
+        </option>
+      `)
+      .join('');
+    importSelect.innerHTML = select.innerHTML;
+
+    if (this.templates.some(t => t.id === selected)) {
+      select.value = selected;
+    }
+    if (this.templates.some(t => t.id === importSelected)) {
+      importSelect.value = importSelected;
+    }
+
+    // Nothing to pick from with a single template
+    select.classList.toggle('hidden', this.templates.length < 2);
+  }
+
+  renderImportReport({ name, templateName, matched, unmatched, conflicts, ignoredColumns, untouched }) {
+    const list = (rows, text) => `<ul>${rows.map(row => `<li>${this.escapeHtml(text(row))}</li>`).join('')}</ul>`;
+    const sections = [
+      `<p>Checklist <strong>${this.escapeHtml(name || '—')}</strong> from ${this.escapeHtml(templateName)}</p>`,
+      `<p>✅ ${matched.length} rows match template items, ${untouched} items stay empty</p>`
+    ];
+
+    if (unmatched.length) {
+      sections.push(`<h3>❓ Unmatched (${unmatched.length}), skipped</h3>`);
+      sections.push(list(unmatched, row => `Line ${row.line}: ${row.name}`));
+    }
+
+    if (conflicts.length) {
+      sections.push(`<h3>⚠️ Conflicts (${conflicts.length}), skipped</h3>`);
+      sections.push(list(conflicts, row => `Line ${row.line} ${row.name}: ${row.reason}`));
+    }
+
+    if (ignoredColumns.length) {
+      sections.push(`<p class="text-secondary">Ignored columns: ${this.escapeHtml(ignoredColumns.join(', '))}</p>`);
+    }
+
+    if (!name) {
+      sections.push('<p class="text-secondary">Enter a checklist name to import.</p>');
+    }
+
+    document.getElementById('importReport').innerHTML = sections.join('');
+    document.getElementById('runImportBtn').classList.toggle('hidden', !name || !matched.length);
+  }
+
+  templateName(checklist) {
+    const template = this.templates.find(t => t.id === checklist.template_id);
+    return template ? template.name : '';
   }
 
   renderChecklistsList() {
@@ -457,6 +1457,9 @@ class ChecklistApp {
 
     emptyState.style.display = 'none';
 
+    // Only worth showing once there is more than one template
+    const showTemplates = this.templates.length > 1;
+
     listContainer.innerHTML = this.checklists
       .filter(checklist => checklist && checklist.items)
       .sort((a, b) => new Date(b.created_at || b.createdAt) - new Date(a.created_at || a.createdAt))
@@ -467,6 +1470,9 @@ class ChecklistApp {
           <div class="checklist-item" onclick="app.showChecklistScreen('${checklistId}')">
             <div class="checklist-info">
               <div class="checklist-name">${this.escapeHtml(checklist.name)}</div>
+              ${this.renderProgress(checklist)}
+              ${checklist.assignee ? `<div class="item-modified">👤 ${this.escapeHtml(this.memberName(checklist.assignee))}</div>` : ''}
+              ${showTemplates && checklist.template_id ? `<div class="item-modified">${this.escapeHtml(this.templateName(checklist) || checklist.template_id)}</div>` : ''}
             </div>
             <div class="checklist-arrow">→</div>
           </div>
@@ -475,6 +1481,135 @@ class ChecklistApp {
       .join('');
   }
 
+  renderMyTasks(tasks) {
+    const container = document.getElementById('myTasksList');
+
+    if (!tasks.length) {
+      container.innerHTML = '<p class="text-secondary">🎉 Nothing assigned to you</p>';
+      return;
+    }
+
+    container.innerHTML = tasks
+      .map(task => {
+        const via = task.via === 'checklist' ? ' · via checklist' : '';
+        return `
+          <div class="checklist-item" onclick="app.openTask('${task.checklistId}', '${task.itemId}')">
+            <div class="checklist-info">
+              <div class="checklist-name">${this.escapeHtml(task.emoji)} ${this.escapeHtml(task.name)}</div>
+              <div class="item-modified">${this.escapeHtml(task.checklistName + via)}</div>
+              ${task.dueDate ? `<div class="item-badges">${this.renderDueBadge(task, this.findStatus(task.status))}</div>` : ''}
+            </div>
+            <div class="checklist-arrow">→</div>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  // Checklist-wide assignee picker on the checklist screen (read-only for viewers)
+  renderChecklistAssignee() {
+    const checklist = this.checklists.find(c => String(c.id) === String(this.currentChecklistId));
+    if (!checklist) return;
+
+    const select = document.getElementById('checklistAssigneeSelect');
+    const members = [...this.members];
+
+    if (checklist.assignee && !members.some(m => m.telegramId === String(checklist.assignee))) {
+      members.push({ telegramId: String(checklist.assignee), name: String(checklist.assignee) });
+    }
+
+    select.innerHTML = `<option value="">Nobody</option>` + members
+      .map(member => `<option value="${this.escapeHtml(member.telegramId)}">${this.escapeHtml(member.name)}</option>`)
+      .join('');
+    select.value = checklist.assignee ? String(checklist.assignee) : '';
+    select.disabled = !this.canEdit();
+  }
+
+  renderSearchResults(results) {
+    const container = document.getElementById('searchResults');
+
+    if (!results.length) {
+      container.innerHTML = '<p class="text-secondary">Nothing found</p>';
+      return;
+    }
+
+    container.innerHTML = results
+      .map(result => {
+        const title = result.itemId
+          ? `${this.escapeHtml(result.itemName)} <span class="text-secondary">in ${this.escapeHtml(result.checklistName)}</span>`
+          : `📋 ${this.escapeHtml(result.checklistName)}`;
+        const match = result.field
+          ? `<div class="search-match">${this.escapeHtml(`${result.fieldLabel}: ${result.value}`)}</div>`
+          : '';
+
+        return `
+          <div class="checklist-item" onclick="app.openSearchResult('${result.checklistId}', ${result.itemId ? `'${result.itemId}'` : 'null'})">
+            <div class="checklist-info">
+              <div class="checklist-name">${title}</div>
+              ${match}
+            </div>
+            <div class="checklist-arrow">→</div>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  renderTrash({ retentionDays, checklists }) {
+    const trashContainer = document.getElementById('trashList');
+
+    document.getElementById('trashRetention').textContent =
+      `Deleted checklists are removed for good after ${retentionDays} days.`;
+
+    if (!checklists.length) {
+      trashContainer.innerHTML = '<p class="text-secondary">Trash is empty</p>';
+      return;
+    }
+
+    trashContainer.innerHTML = checklists
+      .map(checklist => {
+        const deleted = checklist.archived_at
+          ? `Deleted ${new Date(checklist.archived_at).toLocaleString()}`
+          : 'Archived';
+        const by = checklist.archivedByName ? ` by ${checklist.archivedByName}` : '';
+        const restoreButton = this.canDelete(checklist)
+          ? `<button class="btn btn-secondary btn-restore" onclick="app.restoreChecklist('${checklist.id}')">Restore</button>`
+          : '';
+
+        return `
+          <div class="checklist-item">
+            <div class="checklist-info">
+              <div class="checklist-name">${this.escapeHtml(checklist.name)}</div>
+              <div class="item-modified">${this.escapeHtml(deleted + by)}</div>
+            </div>
+            ${restoreButton}
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  // Stacked bar in status colours plus a count per status
+  renderProgress(checklist) {
+    const { total, done, counts } = this.summarizeItems(checklist.items);
+    if (!total) return '';
+
+    const bar = counts
+      .map(c => `<div class="progress-segment" style="width: ${(c.count / total) * 100}%; background: ${c.color}"></div>`)
+      .join('');
+    const chips = counts
+      .map(c => `<span class="progress-count" title="${this.escapeHtml(c.name)}">${this.escapeHtml(c.emoji)} ${c.count}</span>`)
+      .join('');
+
+    return `
+      <div class="progress-bar">${bar}</div>
+      <div class="progress-counts">
+        ${chips}
+        <span class="progress-done">${done}/${total}</span>
+      </div>
+    `;
+  }
+
   renderChecklistItems() {
     const itemsContainer = document.getElementById('itemsList');
     const checklist = this.checklists.find(c => c._id === this.currentChecklistId || c.id === this.currentChecklistId || String(c.id) === String(this.currentChecklistId));
@@ -484,18 +1619,34 @@ class ChecklistApp {
       return;
     }
 
-    itemsContainer.innerHTML = checklist.items
+    this.renderStatusChips(checklist);
+
+    const items = this.viewItems(checklist.items);
+    if (!items.length) {
+      itemsContainer.innerHTML = '<p class="text-secondary">No items match the filter</p>';
+      return;
+    }
+
+    itemsContainer.innerHTML = items
       .map(item => {
         const itemId = item._id || item.id;
         const checklistId = checklist._id || checklist.id;
+        const status = this.findStatus(item.status);
         return `
-          <div class="item">
-            <div class="item-status" onclick="event.stopPropagation(); app.updateItemStatus('${checklistId}', '${itemId}')">
-              ${item.emoji}
+          <div class="item${item.pending ? ' pending' : ''}${item.confirmed ? ' confirmed' : ''}" data-item-id="${itemId}">
+            <div class="item-status" onclick="event.stopPropagation(); app.showStatusPicker('${checklistId}', '${itemId}')">
+              ${this.escapeHtml(item.emoji)}
             </div>
             <div class="item-header" onclick="app.showDetailsModal('${checklistId}', '${itemId}')">
               <div>
                 <div class="item-name">${this.escapeHtml(item.name)}</div>
+                ${status ? `<div class="item-status-name" style="color: ${status.color}">${this.escapeHtml(status.name)}</div>` : ''}
+                ${item.dueDate || item.owner ? `
+                  <div class="item-badges">
+                    ${this.renderDueBadge(item, status)}
+                    ${item.owner ? `<span class="item-badge">👤 ${this.escapeHtml(this.memberName(item.owner))}</span>` : ''}
+                  </div>
+                ` : ''}
               </div>
             </div>
           </div>
@@ -504,10 +1655,328 @@ class ChecklistApp {
       .join('');
   }
 
+  renderPlanning(item) {
+    document.getElementById('dueDateInput').value = item.dueDate || '';
+
+    const ownerSelect = document.getElementById('ownerSelect');
+    const members = [...this.members];
+
+    // Keep an owner who is no longer on the whitelist visible
+    if (item.owner && !members.some(m => m.telegramId === String(item.owner))) {
+      members.push({ telegramId: String(item.owner), name: String(item.owner) });
+    }
+
+    ownerSelect.innerHTML = `<option value="">Nobody</option>` + members
+      .map(member => `<option value="${this.escapeHtml(member.telegramId)}">${this.escapeHtml(member.name)}</option>`)
+      .join('');
+    ownerSelect.value = item.owner ? String(item.owner) : '';
+  }
+
+  memberName(telegramId) {
+    const member = this.members.find(m => m.telegramId === String(telegramId));
+    return member ? member.name : String(telegramId);
+  }
+
+  // Due date badge, red once it has passed (done statuses never go red)
+  renderDueBadge(item, status) {
+    if (!item.dueDate) return '';
+
+    const today = new Date().toISOString().slice(0, 10);
+    const overdue = item.dueDate < today && !(status && status.done);
+    const label = new Date(`${item.dueDate}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    return `<span class="item-badge${overdue ? ' overdue' : ''}">📅 ${this.escapeHtml(label)}</span>`;
+  }
+
+  renderDetailFields(fields) {
+    const detailsContainer = document.getElementById('detailsBody');
+
+    if (!fields.length) {
+      detailsContainer.innerHTML = '<p class="text-secondary">No fields for this item</p>';
+      return;
+    }
+
+    const inputTypes = { email: 'email', tel: 'tel', url: 'url', number: 'text' };
+
+    detailsContainer.innerHTML = fields
+      .map(field => {
+        const key = this.escapeHtml(field.key);
+        const label = this.escapeHtml(field.label);
+        const attributes = `class="detail-input" data-field="${key}" data-label="${label}" placeholder="Enter ${label.toLowerCase()}"`;
+
+        const input = field.type === 'multiline'
+          ? `<textarea ${attributes} rows="3"></textarea>`
+          : `<input ${attributes} type="${field.secret ? 'password' : (inputTypes[field.type] || 'text')}"
+              ${field.type === 'number' ? 'inputmode="decimal" pattern="-?[0-9]+([.][0-9]+)?"' : ''}
+              ${field.type === 'tel' ? 'pattern="[+]?[0-9 ()-]{3,32}"' : ''}
+              autocomplete="off" />`;
+
+        return `
+          <div class="detail-row">
+            <div class="detail-label">${label}</div>
+            <div class="detail-value-group">
+              ${input}
+              ${field.secret ? `<button class="btn-reveal" data-field="${key}">👁</button>` : ''}
+              ${field.copyable ? `<button class="btn-copy" data-field="${key}" data-label="${label}">📋</button>` : ''}
+            </div>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  // Status ids read better as "✅ Approved"
+  historyValue(field, value) {
+    if (field === 'owner') return this.memberName(value);
+    const status = field === 'status' && this.findStatus(value);
+    return status ? `${status.emoji} ${status.name}` : value;
+  }
+
+  renderItemAttachments(attachments) {
+    const list = document.getElementById('filesList');
+
+    list.innerHTML = attachments.length
+      ? attachments.map(attachment => this.renderAttachment(attachment)).join('')
+      : '<p class="text-secondary">No files yet</p>';
+  }
+
+  renderAttachment(attachment) {
+    const size = attachment.size >= 1024 * 1024
+      ? `${(attachment.size / 1024 / 1024).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(attachment.size / 1024))} KB`;
+    const time = new Date(attachment.createdAt).toLocaleString();
+    // The server checks this again, the button is only hidden for others
+    const canDelete = this.isAdmin || (this.canEdit() && String(attachment.uploadedBy) === String(this.userId));
+
+    return `
+      <div class="attachment" data-id="${attachment.id}">
+        <div class="attachment-info">
+          <button class="attachment-name" data-id="${attachment.id}" data-name="${this.escapeHtml(attachment.fileName)}">📄 ${this.escapeHtml(attachment.fileName)}</button>
+          <div class="item-modified">${size} · ${this.escapeHtml(String(attachment.uploadedByName))} · ${this.escapeHtml(time)}</div>
+        </div>
+        ${canDelete ? `<button class="btn-delete-attachment" data-id="${attachment.id}" title="Delete">🗑️</button>` : ''}
+      </div>
+    `;
+  }
+
+  renderItemComments(comments) {
+    const list = document.getElementById('commentsList');
+
+    list.innerHTML = comments.length
+      ? comments.map(comment => this.renderComment(comment)).join('')
+      : '<p class="text-secondary">No comments yet</p>';
+  }
+
+  renderComment(comment) {
+    const text = this.escapeHtml(comment.body)
+      .replace(/(^|[^\w@.])(@\w{3,32})/g, '$1<span class="mention">$2</span>');
+    const time = new Date(comment.createdAt).toLocaleString();
+
+    return `
+      <div class="comment">
+        <div class="comment-text">${text}</div>
+        <div class="item-modified">${this.escapeHtml(String(comment.authorName))} · ${this.escapeHtml(time)}</div>
+      </div>
+    `;
+  }
+
+  renderItemHistory(events) {
+    const historyContainer = document.getElementById('historyBody');
+
+    if (!events.length) {
+      historyContainer.innerHTML = '<p class="text-secondary">No changes yet</p>';
+      return;
+    }
+
+    historyContainer.innerHTML = events
+      .map(event => {
+        const field = event.field.startsWith('details.')
+          ? event.field.slice('details.'.length)
+          : event.field;
+        const oldValue = event.old_value === '' || event.old_value == null ? '—' : this.historyValue(event.field, event.old_value);
+        const newValue = event.new_value === '' || event.new_value == null ? '—' : this.historyValue(event.field, event.new_value);
+        const time = new Date(event.created_at).toLocaleString();
+
+        return `
+          <div class="history-entry">
+            <div class="history-change">
+              <span class="history-field">${this.escapeHtml(field)}</span>
+              ${this.escapeHtml(String(oldValue))} → ${this.escapeHtml(String(newValue))}
+            </div>
+            <div class="item-modified">${this.escapeHtml(String(event.actorName))} · ${this.escapeHtml(time)}</div>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  // ============================================
+  // STATUS WORKFLOW (mirrors lib/workflow.js, the server has the final say)
+  // ============================================
+
+  findStatus(statusId) {
+    return this.statuses.find(s => s.id === statusId) || null;
+  }
+
+  summarizeItems(items) {
+    const counts = new Map(this.statuses.map(s => [s.id, { ...s, count: 0 }]));
+    let done = 0;
+
+    for (const item of items) {
+      if (!counts.has(item.status)) {
+        counts.set(item.status, { id: item.status, name: item.status, emoji: item.emoji, color: '#8a8a8a', count: 0 });
+      }
+      const entry = counts.get(item.status);
+      entry.count++;
+      if (entry.done) done++;
+    }
+
+    return {
+      total: items.length,
+      done,
+      counts: [...counts.values()].filter(entry => entry.count > 0)
+    };
+  }
+
+  allowedStatuses(fromId) {
+    const from = this.findStatus(fromId);
+    return this.statuses.filter(s =>
+      s.id !== fromId && (!from || !from.transitions || from.transitions.includes(s.id))
+    );
+  }
+
+  // ============================================
+  // ITEM FILTERS AND SORTING
+  // ============================================
+
+  // Telegram CloudStorage follows the user across devices; outside Telegram
+  // (or on clients too old for it) the browser's localStorage is used
+  get cloudStorage() {
+    const webApp = window.Telegram?.WebApp;
+    return webApp?.CloudStorage && webApp.isVersionAtLeast?.('6.9') ? webApp.CloudStorage : null;
+  }
+
+  loadItemView() {
+    const apply = (raw) => {
+      try {
+        const saved = JSON.parse(raw || '{}');
+        this.itemView = {
+          only: Array.isArray(saved.only) ? saved.only : [],
+          hidden: Array.isArray(saved.hidden) ? saved.hidden : [],
+          sort: saved.sort || DEFAULT_ITEM_VIEW.sort
+        };
+      } catch (err) {
+        this.itemView = { ...DEFAULT_ITEM_VIEW };
+      }
+      document.getElementById('sortSelect').value = this.itemView.sort;
+      this.renderChecklistItems();
+    };
+
+    if (this.cloudStorage) {
+      this.cloudStorage.getItem(ITEM_VIEW_KEY, (err, value) => apply(err ? null : value));
+    } else {
+      apply(window.localStorage?.getItem(ITEM_VIEW_KEY));
+    }
+  }
+
+  setItemView(changes) {
+    this.itemView = { ...this.itemView, ...changes };
+    this.renderChecklistItems();
+
+    const value = JSON.stringify(this.itemView);
+    if (this.cloudStorage) {
+      this.cloudStorage.setItem(ITEM_VIEW_KEY, value);
+    } else {
+      window.localStorage?.setItem(ITEM_VIEW_KEY, value);
+    }
+  }
+
+  resetItemView() {
+    this.setItemView({ only: [], hidden: [] });
+  }
+
+  // Each tap moves a chip on: all → only this status → hide this status → all
+  toggleStatusFilter(statusId) {
+    const only = this.itemView.only.filter(id => id !== statusId);
+    const hidden = this.itemView.hidden.filter(id => id !== statusId);
+
+    if (this.itemView.only.includes(statusId)) {
+      hidden.push(statusId);
+    } else if (!this.itemView.hidden.includes(statusId)) {
+      only.push(statusId);
+    }
+
+    this.setItemView({ only, hidden });
+  }
+
+  viewItems(items) {
+    const { only, hidden, sort } = this.itemView;
+    const order = new Map(this.statuses.map((status, index) => [status.id, index]));
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    const comparators = {
+      name: byName,
+      status: (a, b) => ((order.get(a.status) ?? order.size) - (order.get(b.status) ?? order.size)) || byName(a, b),
+      modified: (a, b) => new Date(b.lastModified || 0) - new Date(a.lastModified || 0)
+    };
+
+    const visible = items.filter(item =>
+      (!only.length || only.includes(item.status)) && !hidden.includes(item.status)
+    );
+
+    return comparators[sort] ? [...visible].sort(comparators[sort]) : visible;
+  }
+
+  renderStatusChips(checklist) {
+    const { only, hidden } = this.itemView;
+    const { counts: present } = this.summarizeItems(checklist.items);
+    const counts = new Map(present.map(entry => [entry.id, entry.count]));
+
+    // Workflow statuses, plus ones only items still use
+    const statuses = [...this.statuses, ...present.filter(entry => !this.findStatus(entry.id))];
+
+    const chips = statuses.map(status => {
+      const state = only.includes(status.id) ? ' only' : hidden.includes(status.id) ? ' hidden-status' : '';
+      return `
+        <button class="status-chip${state}" data-status="${this.escapeHtml(status.id)}" style="--chip-color: ${status.color}">
+          ${this.escapeHtml(status.emoji)} ${this.escapeHtml(status.name)} ${counts.get(status.id) || 0}
+        </button>
+      `;
+    });
+
+    if (only.length || hidden.length) {
+      chips.push('<button class="status-chip reset">✕ All</button>');
+    }
+
+    document.getElementById('statusChips').innerHTML = chips.join('');
+  }
+
+  // ============================================
+  // PERMISSIONS (the server enforces them, this only adapts the UI)
+  // ============================================
+
+  canEdit() {
+    return this.role === 'editor' || this.role === 'admin';
+  }
+
+  canDelete(checklist) {
+    return this.role === 'admin' || String(checklist.created_by) === String(this.userId);
+  }
+
   // ============================================
   // UTILITIES
   // ============================================
 
+  showAccessDenied() {
+    document.getElementById('app').innerHTML = `
+      <div class="access-denied">
+        <h1>🔒 Access Denied</h1>
+        <p>This app is private.</p>
+        <p>Ask admin to add you to the whitelist.</p>
+      </div>
+    `;
+  }
+
   copyToClipboard(text, field) {
     if (!text) {
       this.showNotification('❌ Field is empty');
@@ -529,10 +1998,9 @@ class ChecklistApp {
     setTimeout(() => toast.remove(), 2000);
   }
 
+  // Safe in element content and in quoted attribute values alike
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
   }
 }
 
@@ -0,0 +1,78 @@
+// ============================================
+// ENCRYPT / RE-ENCRYPT STORED CREDENTIALS
+// ============================================
+//
+// Encrypts plaintext item details and history values with the active key
+// (first entry of CREDENTIALS_KEYS) and re-encrypts values that use an older key
+// or the enc:v1: format, which was not bound to its checklist and item.
+// Safe to run repeatedly. With file storage, stop the server first.
+//
+//   npm run encrypt-credentials
+
+require('dotenv').config();
+
+const { createStorage } = require('../lib/storage');
+const { loadKeys, needsEncryption, reencryptValue } = require('../lib/credentials');
+
+async function main() {
+  if (!loadKeys().length) {
+    console.error('❌ Set CREDENTIALS_KEYS (or CREDENTIALS_KEY) first');
+    process.exit(1);
+  }
+
+  const storage = createStorage();
+  await storage.init();
+
+  const checklists = await storage.listAllChecklists();
+  let itemCount = 0;
+  let eventCount = 0;
+  let skipped = 0;
+
+  for (const checklist of checklists) {
+    for (const item of checklist.items) {
+      const details = { ...item.details };
+      const fields = Object.keys(details).filter(field => needsEncryption(details[field]));
+      if (!fields.length) continue;
+
+      const context = { checklistId: checklist.id, itemId: item.id };
+      fields.forEach(field => {
+        details[field] = reencryptValue(details[field], field, context);
+      });
+
+      // Same version lock as the socket handlers, a concurrent edit wins
+      const saved = await storage.updateItem(checklist.id, item.id, { details }, {
+        expectedVersion: item.version || 0
+      });
+
+      if (saved) {
+        itemCount++;
+      } else {
+        skipped++;
+        console.log(`⚠️  ${checklist.name} / ${item.name} changed meanwhile, run again`);
+      }
+    }
+
+    const events = await storage.listItemEvents({ checklistId: checklist.id, limit: null });
+
+    for (const event of events) {
+      if (!event.field.startsWith('details.')) continue;
+      const field = event.field.slice('details.'.length);
+      if (!needsEncryption(event.old_value) && !needsEncryption(event.new_value)) continue;
+
+      const context = { checklistId: checklist.id, itemId: event.item_id };
+      await storage.updateItemEvent(event.id, {
+        old_value: reencryptValue(event.old_value, field, context),
+        new_value: reencryptValue(event.new_value, field, context)
+      });
+      eventCount++;
+    }
+  }
+
+  console.log(`✅ Encrypted ${itemCount} items and ${eventCount} history entries in ${checklists.length} checklists`);
+  if (skipped) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('❌ Encryption failed:', err);
+  process.exit(1);
+});
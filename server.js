@@ -4,10 +4,35 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
-const { createClient } = require('@supabase/supabase-js');
 const dotenv = require('dotenv');
 const TelegramBot = require('node-telegram-bot-api');
 const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { createFileStore } = require('./lib/attachments');
+const {
+  canStoreCredentials,
+  encryptValue,
+  decryptValue,
+  encryptDetails,
+  decryptDetails
+} = require('./lib/credentials');
+const { ROLES, getRole, hasRole, canDeleteChecklist, roleFields } = require('./lib/roles');
+const { FIELD_TYPES, fieldsFor, normalizeField, emptyDetails, validateDetails } = require('./lib/fields');
+const { createBatcher, collapseStatusChanges } = require('./lib/notifications');
+const { EXPORT_FORMATS, buildExport, renderExport } = require('./lib/export');
+const { MAX_IMPORT_BYTES, parseImportFile, planImport } = require('./lib/import');
+const { MIN_QUERY_LENGTH, searchChecklists } = require('./lib/search');
+const { normalizeComment, findMentions } = require('./lib/comments');
+const {
+  DEFAULT_STATUSES,
+  findStatus,
+  matchStatus,
+  allowedTransitions,
+  canTransition,
+  normalizeStatus,
+  summarizeItems,
+  isEmoji
+} = require('./lib/workflow');
 
 dotenv.config();
 
@@ -17,7 +42,9 @@ const io = socketIo(server, {
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
-  }
+  },
+  // Imports send the file contents in one message; leave room for JSON escaping
+  maxHttpBufferSize: 2 * MAX_IMPORT_BYTES
 });
 
 app.use(cors());
@@ -103,1172 +130,3732 @@ if (BOT_TOKEN_FOR_WEBHOOK) {
 }
 
 // ============================================
-// SUPABASE CONNECTION
+// STORAGE
 // ============================================
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+// Supabase when SUPABASE_URL/SUPABASE_KEY are set, local JSON file otherwise (see lib/storage)
+const storage = createStorage();
 
-let supabase = null;
+// Optimistic locking: how many times an item write is retried after losing the race
+const MAX_WRITE_ATTEMPTS = 3;
 
-if (supabaseUrl && supabaseKey) {
-  supabase = createClient(supabaseUrl, supabaseKey);
-  console.log('✅ Supabase connected');
-  
-  // Initialize tables on startup
-  initializeDatabase();
-} else {
-  console.error('❌ SUPABASE_URL or SUPABASE_KEY not set in .env');
-}
+// Attachment contents: local disk unless ATTACHMENT_DRIVER says otherwise (see lib/attachments)
+const fileStore = createFileStore();
 
-async function initializeDatabase() {
-  if (!supabase) return;
-  
-  try {
-    // Check if tables exist by trying to query them
-    // If they don't exist, they will be created via SQL in Supabase Dashboard
-    await supabase.from('users').select('count(*)', { count: 'exact', head: true });
-    console.log('✅ Database tables verified');
-  } catch (err) {
-    console.log('⚠️  Database tables not found. Please create them in Supabase Dashboard.');
+// ============================================
+// CHECKLIST TEMPLATES
+// ============================================
+
+// Every checklist is created from a named template and remembers it in template_id.
+// Templates are kept as one JSON list under the 'templates' settings key.
+const DEFAULT_TEMPLATE_ID = 'banks';
+
+// Defaults, replaced by the stored list on startup
+let TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'Banks',
+    items: [
+      { id: 1, name: 'Amazon', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 2, name: 'Wamo', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 3, name: 'Paysera Business', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 4, name: 'Paynovus', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 5, name: 'ICard', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 6, name: 'Mifinity', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 7, name: 'Revolut', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 8, name: 'OpenPayd', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 9, name: 'Finom', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 10, name: 'Zen', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 11, name: 'Genome', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 12, name: 'Multipass', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 13, name: 'Sokin', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 14, name: 'Brighty', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 15, name: 'Unlimit', status: 'NOT_STARTED', emoji: '⬜' },
+      { id: 16, name: 'Satchel', status: 'NOT_STARTED', emoji: '⬜' }
+    ]
   }
+];
+
+// Template ids are short keys used in bot commands, e.g. /addbank crypto Kraken
+const TEMPLATE_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+function findTemplate(templateId) {
+  const key = String(templateId || '').toLowerCase();
+  return TEMPLATES.find(t => t.id === key) || null;
 }
 
-// Default bank template (will be loaded from DB if available)
-let BANK_TEMPLATE = [
-  { id: 1, name: 'Amazon', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 2, name: 'Wamo', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 3, name: 'Paysera Business', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 4, name: 'Paynovus', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 5, name: 'ICard', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 6, name: 'Mifinity', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 7, name: 'Revolut', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 8, name: 'OpenPayd', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 9, name: 'Finom', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 10, name: 'Zen', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 11, name: 'Genome', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 12, name: 'Multipass', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 13, name: 'Sokin', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 14, name: 'Brighty', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 15, name: 'Unlimit', status: 'NOT_STARTED', emoji: '⬜' },
-  { id: 16, name: 'Satchel', status: 'NOT_STARTED', emoji: '⬜' }
-];
+// Same limit as the app's create dialog
+const MAX_CHECKLIST_NAME_LENGTH = 50;
 
-// Load bank template from database
-async function loadBankTemplate() {
-  if (!supabase) return;
-  try {
-    const { data } = await supabase
-      .from('settings')
-      .select('value')
-      .eq('key', 'bank_template')
-      .single();
-    
-    if (data && data.value) {
-      BANK_TEMPLATE = JSON.parse(data.value);
-      console.log('✅ Bank template loaded from DB');
+// Checklist name as typed, trimmed, or null when it isn't a usable name
+function normalizeChecklistName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= MAX_CHECKLIST_NAME_LENGTH ? trimmed : null;
+}
+
+// Checklists created before templates existed came from the bank list
+const templateOf = (checklist) => findTemplate(checklist.template_id || DEFAULT_TEMPLATE_ID);
+
+const templateSummary = (template) => ({
+  id: template.id,
+  name: template.name,
+  itemCount: template.items.length
+});
+
+// Load templates from database. Defaults are used only when none were saved yet:
+// a read failure stops startup, so the defaults never overwrite the stored templates
+async function loadTemplates() {
+  const value = await storage.getSetting('templates');
+
+  if (value) {
+    TEMPLATES = JSON.parse(value);
+    console.log(`✅ ${TEMPLATES.length} templates loaded from DB`);
+    return;
+  }
+
+  // Older installs kept a single bank list under 'bank_template'
+  const legacy = await storage.getSetting('bank_template');
+  if (legacy) {
+    findTemplate(DEFAULT_TEMPLATE_ID).items = JSON.parse(legacy);
+    if (!await saveTemplates()) {
+      throw new Error('Could not save the migrated bank template');
     }
-  } catch (err) {
-    console.log('⚠️  Using default bank template');
+    console.log('✅ Bank template moved to the "banks" template');
+    return;
   }
+
+  console.log('ℹ️  No saved templates yet, using defaults');
 }
 
-// Save bank template to database
-async function saveBankTemplate() {
-  if (!supabase) return false;
+// Save templates to database
+async function saveTemplates() {
   try {
-    await supabase
-      .from('settings')
-      .upsert({
-        key: 'bank_template',
-        value: JSON.stringify(BANK_TEMPLATE),
-        updated_at: new Date().toISOString()
-      }, { onConflict: 'key' });
+    await storage.setSetting('templates', JSON.stringify(TEMPLATES));
     return true;
   } catch (err) {
-    console.error('Error saving bank template:', err);
+    console.error('Error saving templates:', err);
     return false;
   }
 }
 
-// Sync bank template to all existing checklists (add new banks, keep existing statuses)
-async function syncBankTemplateToChecklists() {
-  if (!supabase) return { success: false, updated: 0 };
-  
-  try {
-    // Get all checklists
-    const { data: checklists, error } = await supabase
-      .from('checklists')
-      .select('*');
-    
-    if (error) throw error;
-    
-    let updatedCount = 0;
-    
-    for (const checklist of checklists || []) {
-      const existingItems = typeof checklist.items === 'string' 
-        ? JSON.parse(checklist.items) 
-        : checklist.items;
-      
-      // Create map of existing items by name for quick lookup
-      const existingByName = {};
-      existingItems.forEach(item => {
-        existingByName[item.name.toLowerCase()] = item;
-      });
-      
-      // Build new items array
-      const newItems = BANK_TEMPLATE.map(templateItem => {
-        const existing = existingByName[templateItem.name.toLowerCase()];
-        if (existing) {
-          // Keep existing status, emoji and details
-          return {
-            ...templateItem,
-            status: existing.status,
-            emoji: existing.emoji,
-            details: existing.details || {},
-            lastModified: existing.lastModified,
-            modifiedBy: existing.modifiedBy
-          };
-        } else {
-          // New item - use template defaults
-          return {
-            ...templateItem,
-            details: { login: '', password: '', phone: '', email: '' },
-            lastModified: new Date().toISOString(),
-            modifiedBy: 'system'
-          };
-        }
-      });
-      
-      // Update checklist
-      await supabase
-        .from('checklists')
-        .update({
-          items: JSON.stringify(newItems),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', checklist.id);
-      
-      updatedCount++;
-    }
-    
-    return { success: true, updated: updatedCount };
-  } catch (err) {
-    console.error('Sync error:', err);
-    return { success: false, updated: 0, error: err.message };
-  }
+// Checklist item for a template entry, the field schema itself stays in the template
+function newChecklistItem(template, templateItem, modifiedBy) {
+  const { fields, ...item } = templateItem;
+  const [initialStatus] = STATUSES;
+  return {
+    ...item,
+    status: initialStatus.id,
+    emoji: initialStatus.emoji,
+    details: emptyDetails(fieldsFor(template, templateItem)),
+    lastModified: new Date().toISOString(),
+    modifiedBy
+  };
 }
 
-// Load template on startup
-loadBankTemplate();
+// Detail fields of a checklist item, from the template it was created from
+function itemFields(checklist, itemId) {
+  const template = templateOf(checklist);
+  const templateItem = template && template.items.find(t => t.id === itemId);
+  return fieldsFor(template, templateItem);
+}
 
-const statusCycle = ['NOT_STARTED', 'IN_PROGRESS', 'APPROVED', 'DECLINED'];
-const statusEmoji = {
-  'NOT_STARTED': '⬜',
-  'IN_PROGRESS': '💤',
-  'APPROVED': '✅',
-  'DECLINED': '❌'
-};
+const hasDetails = (item) => filledFields(item.details).length > 0;
 
-// ============================================
-// TELEGRAM BOT SETUP
-// ============================================
+// Ids (as strings) of a checklist's items that have rows of their own besides the item:
+// dropping such an item would orphan them
+async function itemsWithRecords(checklistId) {
+  const comments = await storage.listItemComments({ checklistId });
+  const attachments = await storage.listItemAttachments({ checklistId });
+  return new Set([...comments, ...attachments].map(record => String(record.item_id)));
+}
 
-let bot = null;
-const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+// Work out how a checklist's items change to match its template. Items are matched on
+// the template item id, so a renamed entry keeps its status and details. Items that
+// left the template but still hold details, comments or attachments (ids in
+// withRecords) are archived (hidden, kept in storage) instead of dropped, and come
+// back if the id returns to the template.
+function planTemplateSync(template, existingItems, withRecords = new Set()) {
+  const existingById = new Map(existingItems.map(item => [item.id, item]));
+  const templateIds = new Set(template.items.map(item => item.id));
+  const now = new Date().toISOString();
+  const diff = { added: [], renamed: [], restored: [], removed: [], archived: [] };
+
+  const items = template.items.map(templateItem => {
+    const existing = existingById.get(templateItem.id);
+
+    if (!existing) {
+      // New item - use template defaults
+      diff.added.push(templateItem.name);
+      return newChecklistItem(template, templateItem, 'system');
+    }
 
-// Only use polling in development, not on Railway (to avoid conflicts)
-const usePolling = !process.env.RAILWAY_ENVIRONMENT;
-const WEBHOOK_URL = 'https://telegram-checklist-production.up.railway.app';
+    const { archivedAt, ...item } = existing;
 
-if (BOT_TOKEN) {
-  if (usePolling) {
-    bot = new TelegramBot(BOT_TOKEN, { polling: true });
-    console.log('✅ Telegram Bot connected (polling mode)');
-  } else {
-    bot = new TelegramBot(BOT_TOKEN, { polling: false });
-    
-    // Set up webhook for Railway
-    bot.setWebHook(`${WEBHOOK_URL}/bot${BOT_TOKEN}`).then(() => {
-      console.log('✅ Telegram Bot webhook set');
-    }).catch(err => {
-      console.error('❌ Failed to set webhook:', err.message);
-    });
-    
-    console.log('✅ Telegram Bot connected (webhook mode)');
-  }
+    if (archivedAt) diff.restored.push(templateItem.name);
+    if (existing.name !== templateItem.name) {
+      diff.renamed.push({ from: existing.name, to: templateItem.name });
+    }
 
-  // Get the Web App URL
-  const WEB_APP_URL = process.env.WEB_APP_URL || 'https://telegram-checklist-production.up.railway.app';
-  const BOT_USERNAME = 'checkAwsBot'; // Your bot username without @
+    // Keep existing status, emoji, details and version
+    return { ...item, name: templateItem.name, ...(archivedAt && { archivedAt: null }) };
+  });
 
-  // Helper: Get keyboard based on chat type (web_app doesn't work in groups)
-  function getAppKeyboard(chatType) {
-    if (chatType === 'private') {
-      // web_app works in private chats
-      return {
-        inline_keyboard: [
-          [{ text: '📋 FULL WORK', web_app: { url: WEB_APP_URL } }]
-        ]
-      };
+  for (const existing of existingItems) {
+    if (templateIds.has(existing.id)) continue;
+
+    if (existing.archivedAt) {
+      items.push(existing);
+    } else if (hasDetails(existing) || withRecords.has(String(existing.id))) {
+      diff.archived.push(existing.name);
+      items.push({ ...existing, archivedAt: now });
     } else {
-      // For groups, use URL that opens bot with Mini App
-      return {
-        inline_keyboard: [
-          [{ text: '📋 FULL WORK', url: `https://t.me/${BOT_USERNAME}?startapp=open` }]
-        ]
-      };
+      diff.removed.push(existing.name);
     }
   }
 
-  // Bot command handlers
-  bot.onText(/\/start/, async (msg) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const username = msg.from.username;
+  const changed = Object.values(diff).some(list => list.length > 0);
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
-    }
+  return { items, changed, ...diff };
+}
 
-    // Check if user exists in whitelist
-    const { data: existingUser } = await supabase
-      .from('users')
-      .select('*')
-      .or(`telegram_id.eq.${userId},username.ilike.${username || 'NONE'}`)
-      .single();
+// Returned by a syncItem change to delete the item
+const DELETE_ITEM = Symbol('delete item');
 
-    if (!existingUser) {
-      // User not in whitelist
-      bot.sendMessage(chatId, 
-        '❌ Access denied.\n\n' +
-        'This bot is private. Ask admin to add you.',
-        { parse_mode: 'Markdown' }
-      );
-      return;
+// Write the template's fields of one item under its version lock, re-reading it when
+// another write got there first, so a status or details edit made during the sync is kept.
+// change(item) gets the fresh item and returns the fields to set or DELETE_ITEM.
+// An item deleted in the meantime is left alone
+async function syncItem(checklistId, itemId, change) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const item = await storage.getItem(checklistId, itemId);
+    if (!item) return;
+
+    const fields = change(item);
+
+    const expected = { expectedVersion: item.version || 0 };
+    const written = fields === DELETE_ITEM
+      ? await storage.deleteItem(checklistId, itemId, expected)
+      : await storage.updateItem(checklistId, itemId, fields, expected);
+
+    if (written) return;
+  }
+
+  throw new Error(`Item ${itemId} of checklist ${checklistId} kept changing during the sync, try again`);
+}
+
+// Bring a checklist's stored items to the planned list (see planTemplateSync) item by
+// item: only name, position and archivedAt come from the plan, everything else stays
+// as it is in storage
+async function applyTemplateSync(checklist, items) {
+  const existing = new Map(checklist.items.map((item, index) => [item.id, { item, index }]));
+  const planned = new Set(items.map(item => item.id));
+  const now = new Date().toISOString();
+
+  for (const [position, target] of items.entries()) {
+    const known = existing.get(target.id);
+
+    if (!known) {
+      await storage.insertItem(checklist.id, target, position);
+      continue;
     }
 
-    // Update user data (fill in telegram_id if was added by username)
-    try {
-      await supabase
-        .from('users')
-        .update({
-          telegram_id: userId,
-          username: msg.from.username,
-          first_name: msg.from.first_name,
-          last_name: msg.from.last_name,
-          last_active: new Date().toISOString()
-        })
-        .eq('id', existingUser.id);
-    } catch (err) {
-      console.error('Error updating user:', err);
+    const archivedAt = target.archivedAt || null;
+    if (known.item.name === target.name && (known.item.archivedAt || null) === archivedAt && known.index === position) {
+      continue;
     }
 
-    const keyboard = getAppKeyboard(msg.chat.type);
+    await syncItem(checklist.id, target.id, () => ({ name: target.name, archivedAt, position }));
+  }
 
-    bot.sendMessage(chatId, 
-      'Тыкай бебезьян',
-      { reply_markup: keyboard }
+  // Dropped from the plan because they held nothing, unless that changed since
+  const withRecords = await itemsWithRecords(checklist.id);
+  for (const { item } of existing.values()) {
+    if (planned.has(item.id)) continue;
+    await syncItem(checklist.id, item.id, (fresh) =>
+      (hasDetails(fresh) || withRecords.has(String(fresh.id)) ? { archivedAt: now } : DELETE_ITEM)
     );
-  });
+  }
+}
 
-  // Command to open app (works in groups)
-  bot.onText(/\/checklist/, async (msg) => {
-    const chatId = msg.chat.id;
-    const keyboard = getAppKeyboard(msg.chat.type);
+// Sync templates to existing checklists. With templateId only checklists created from
+// that template are touched; dryRun only reports the per-checklist changes.
+async function syncTemplatesToChecklists(templateId = null, { dryRun = false } = {}) {
+  try {
+    // Get all checklists
+    const checklists = await storage.listAllChecklists();
+    
+    const changes = [];
+    
+    for (const checklist of checklists) {
+      const template = templateOf(checklist);
 
-    bot.sendMessage(chatId, 
-      'Тыкай бебезьян',
-      { reply_markup: keyboard }
-    );
-  });
+      // Template was removed from settings, leave the checklist as it is
+      if (!template || (templateId && template.id !== templateId)) continue;
 
-  // Command /app as alias
-  bot.onText(/\/app/, async (msg) => {
-    const chatId = msg.chat.id;
-    const keyboard = getAppKeyboard(msg.chat.type);
+      const withRecords = await itemsWithRecords(checklist.id);
+      const { items, changed, ...diff } = planTemplateSync(template, checklist.items, withRecords);
+      if (!changed) continue;
 
-    bot.sendMessage(chatId, 
-      'Тыкай бебезьян',
-      { reply_markup: keyboard }
-    );
-  });
+      changes.push({ checklist, template, ...diff });
+      if (dryRun) continue;
 
-  // Command /pin - create pinned message with app button (for groups)
-  bot.onText(/\/pin/, async (msg) => {
-    const chatId = msg.chat.id;
-    
-    // Check if it's a group
-    if (msg.chat.type === 'private') {
-      bot.sendMessage(chatId, '⚠️ This command only works in groups');
-      return;
+      await applyTemplateSync(checklist, items);
+      await storage.updateChecklist(checklist.id, { updated_at: new Date().toISOString() });
     }
     
-    // Use URL button for groups (web_app doesn't work in groups)
-    const keyboard = {
-      inline_keyboard: [
-        [{ text: '📋 FULL WORK', url: `https://t.me/${BOT_USERNAME}?startapp=open` }]
-      ]
-    };
+    return { success: true, updated: dryRun ? 0 : changes.length, changes };
+  } catch (err) {
+    console.error('Sync error:', err);
+    return { success: false, updated: 0, changes: [], error: err.message };
+  }
+}
 
-    try {
-      // Send message with button
-      const sentMsg = await bot.sendMessage(chatId, 
-        'Тыкай бебезьян',
-        { 
-          reply_markup: keyboard
-        }
-      );
-      
-      // Pin the message
-      await bot.pinChatMessage(chatId, sentMsg.message_id, { disable_notification: true });
-      
-    } catch (err) {
-      console.error('Error pinning message:', err.message);
-      bot.sendMessage(chatId, '❌ Could not pin message. Make sure bot has "Pin Messages" admin right.');
+// Telegram caps messages at 4096 characters
+const MAX_MESSAGE_LENGTH = 4000;
+
+function formatSyncPreview(changes) {
+  const blocks = changes.map(({ checklist, template, added, renamed, restored, removed, archived }) => [
+    `📋 ${checklist.name} (${template.name})${checklist.is_archived ? ' 🗑️' : ''}`,
+    ...added.map(name => `  ➕ ${name}`),
+    ...restored.map(name => `  ♻️ ${name} (restored from archive)`),
+    ...renamed.map(({ from, to }) => `  ✏️ ${from} → ${to}`),
+    ...archived.map(name => `  🗄 ${name} (has details, will be archived)`),
+    ...removed.map(name => `  ➖ ${name}`)
+  ].join('\n'));
+
+  let text = '';
+  for (const [index, block] of blocks.entries()) {
+    if (text.length + block.length > MAX_MESSAGE_LENGTH) {
+      text += `…and ${blocks.length - index} more checklists\n\n`;
+      break;
     }
-  });
+    text += `${block}\n\n`;
+  }
+  return text;
+}
 
-  bot.onText(/\/admin (.+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const targetUserId = match[1].trim();
+// ============================================
+// STATUS WORKFLOW
+// ============================================
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
-    }
+// Defaults, replaced by the stored workflow on startup (see lib/workflow)
+let STATUSES = DEFAULT_STATUSES;
 
-    // Check if sender is admin
-    const { data: senderData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
+// Load status workflow from database; like templates, only a missing one falls back to defaults
+async function loadWorkflow() {
+  const value = await storage.getSetting('status_workflow');
 
-    if (!senderData || !senderData.is_admin) {
-      bot.sendMessage(chatId, '❌ Access denied. Only admins can do this.');
-      return;
-    }
+  if (!value) {
+    console.log('ℹ️  No saved status workflow yet, using defaults');
+    return;
+  }
 
-    try {
-      await supabase
-        .from('users')
-        .upsert({
-          telegram_id: targetUserId,
-          is_admin: true
-        }, { onConflict: 'telegram_id' });
+  STATUSES = JSON.parse(value);
 
-      bot.sendMessage(chatId, `✅ User ${targetUserId} is now admin`);
-    } catch (err) {
-      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
-    }
-  });
+  // Workflows saved before the done flag existed: take it from the defaults
+  if (!STATUSES.some(s => 'done' in s)) {
+    STATUSES = STATUSES.map(s => ({ ...s, done: Boolean((findStatus(DEFAULT_STATUSES, s.id) || {}).done) }));
+  }
 
-  bot.onText(/\/unadmin (.+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const targetUserId = match[1].trim();
+  console.log(`✅ Status workflow loaded from DB (${STATUSES.length} statuses)`);
+}
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ База данных не подключена');
-      return;
-    }
+// Save status workflow to database
+async function saveWorkflow() {
+  try {
+    await storage.setSetting('status_workflow', JSON.stringify(STATUSES));
+    return true;
+  } catch (err) {
+    console.error('Error saving status workflow:', err);
+    return false;
+  }
+}
 
-    const { data: senderData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
+// "✅ Approved", or the raw id of a status that is no longer in the workflow
+function statusLabel(statusId) {
+  const status = findStatus(STATUSES, statusId);
+  return status ? `${status.emoji} ${status.name}` : statusId;
+}
 
-    if (!senderData || !senderData.is_admin) {
-      bot.sendMessage(chatId, '❌ У вас нет прав.');
-      return;
-    }
+// ▓▓▓▓░░░░░░ 40% - share of items in a done status
+function progressBar(done, total, width = 10) {
+  const share = total ? done / total : 0;
+  const filled = Math.round(share * width);
+  return `${'▓'.repeat(filled)}${'░'.repeat(width - filled)} ${Math.round(share * 100)}%`;
+}
 
-    try {
-      await supabase
-        .from('users')
-        .update({ is_admin: false })
-        .eq('telegram_id', targetUserId);
+// Progress of one checklist as chat text; detailed lists every status on its own line
+function formatChecklistSummary(checklist, { detailed = false } = {}) {
+  const items = checklist.items.filter(item => !item.archivedAt);
+  const { total, done, counts } = summarizeItems(STATUSES, items);
 
-      bot.sendMessage(chatId, `✅ Пользователь ${targetUserId} больше не админ`);
-    } catch (err) {
-      bot.sendMessage(chatId, `❌ Ошибка: ${err.message}`);
-    }
-  });
+  const breakdown = detailed
+    ? counts.map(c => `${c.emoji} ${c.name}: ${c.count}`).join('\n')
+    : counts.map(c => `${c.emoji} ${c.count}`).join(' · ');
 
-  bot.onText(/\/admins/, async (msg) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
+  return `📋 ${checklist.name}\n${progressBar(done, total)} (${done}/${total} done)\n${breakdown || 'No items'}`;
+}
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ База данных не подключена');
-      return;
-    }
+// ============================================
+// STATUS NOTIFICATIONS
+// ============================================
 
-    const { data: senderData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
+// Checklists opened outside a group chat (and the bot's private chats) share this group
+const DEFAULT_GROUP_ID = 'default-group';
 
-    if (!senderData || !senderData.is_admin) {
-      bot.sendMessage(chatId, '❌ У вас нет прав.');
-      return;
-    }
+// A chat's changes are collected this long before it gets one message
+const NOTIFY_BATCH_SECONDS = parseInt(process.env.NOTIFY_BATCH_SECONDS || '30', 10);
 
-    try {
-      const { data: admins } = await supabase
-        .from('users')
-        .select('first_name, username, telegram_id')
-        .eq('is_admin', true);
+const notificationBatcher = createBatcher({
+  delayMs: NOTIFY_BATCH_SECONDS * 1000,
+  flush: sendStatusNotifications
+});
 
-      const adminList = (admins || [])
-        .map(a => `👤 ${a.first_name || a.username || a.telegram_id}`)
-        .join('\n');
-      
-      bot.sendMessage(chatId, `👨‍💼 Список админов:\n${adminList || 'Нет админов'}`);
-    } catch (err) {
-      bot.sendMessage(chatId, `❌ Ошибка: ${err.message}`);
+// Moving into or out of a done status (approved, declined, ...) is worth a message
+function isImportantTransition(from, to) {
+  const isDone = (id) => Boolean((findStatus(STATUSES, id) || {}).done);
+  return isDone(from) || isDone(to);
+}
+
+// Chats subscribed to the checklist or to its whole group
+async function subscribedChats(checklist) {
+  const subscriptions = await storage.listSubscriptions({ groupId: checklist.group_id });
+  return [...new Set(subscriptions
+    .filter(s => !s.checklist_id || String(s.checklist_id) === String(checklist.id))
+    .map(s => s.chat_id))];
+}
+
+// Queue a status change for every chat subscribed to the checklist or its group
+async function queueStatusNotification({ checklistId, itemId, itemName, from, to, actorId }) {
+  if (!bot || !isImportantTransition(from, to)) return;
+
+  try {
+    const checklist = await storage.getChecklist(checklistId);
+    if (!checklist) return;
+
+    for (const chatId of await subscribedChats(checklist)) {
+      notificationBatcher.add(chatId, {
+        checklistId: checklist.id,
+        checklistName: checklist.name,
+        itemId,
+        itemName,
+        from,
+        to,
+        actor: actorId
+      });
+    }
+  } catch (err) {
+    console.error('Notification queue error:', err);
+  }
+}
+
+async function sendStatusNotifications(chatId, entries) {
+  const changes = collapseStatusChanges(entries);
+  if (!changes.length) return;
+
+  const nameOf = await loadUserNames();
+  const byChecklist = new Map();
+
+  for (const change of changes) {
+    const lines = byChecklist.get(change.checklistName) || [];
+    const actors = [...change.actors].map(nameOf).join(', ');
+    lines.push(`  ${change.itemName}: ${statusLabel(change.from)} → ${statusLabel(change.to)} (${actors})`);
+    byChecklist.set(change.checklistName, lines);
+  }
+
+  const blocks = [...byChecklist].map(([name, lines]) => `📋 ${name}\n${lines.join('\n')}`);
+
+  await bot.sendMessage(chatId,
+    `🔔 ${changes.length === 1 ? 'Status change' : `${changes.length} status changes`}\n\n` +
+    blocks.join('\n\n').slice(0, MAX_MESSAGE_LENGTH)
+  );
+}
+
+// Item credentials are only ever stored encrypted, unless plaintext was allowed for development
+if (!canStoreCredentials()) {
+  console.error('❌ CREDENTIALS_KEYS is not set, credentials can not be encrypted ' +
+    '(ALLOW_PLAINTEXT_CREDENTIALS=true stores them as plain text, for local development only)');
+  process.exit(1);
+}
+
+// Load storage, templates and workflow on startup. The attachment store starts on its own,
+// so a broken ATTACHMENT_DIR or bucket can't leave templates and workflow on their defaults;
+// both are required, the server doesn't start without either
+const storageReady = Promise.all([
+  storage.init().then(loadTemplates).then(loadWorkflow),
+  fileStore.init()
+])
+  .catch(err => {
+    // Running on empty data would overwrite the real data with the first write
+    console.error('❌ Storage init failed:', err);
+    process.exit(1);
+  });
+
+// ============================================
+// TRASH RETENTION
+// ============================================
+
+// Deleted checklists stay in the trash this long before they are purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // hourly
+
+async function purgeTrash() {
+  try {
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const trashed = await storage.listChecklists({ archived: true });
+
+    // Checklists archived before the trash existed have no archived_at and are kept
+    const expired = trashed.filter(c => c.archived_at && new Date(c.archived_at).getTime() < cutoff);
+
+    for (const checklist of expired) {
+      await removeAttachmentFiles(checklist.id);
+      await storage.deleteChecklist(checklist.id);
+      console.log('Checklist purged from trash:', checklist.id);
+    }
+  } catch (err) {
+    console.error('Trash purge error:', err);
+  }
+}
+
+storageReady.then(() => {
+  purgeTrash();
+  setInterval(purgeTrash, TRASH_PURGE_INTERVAL);
+});
+
+// ============================================
+// REMINDERS
+// ============================================
+
+// Items past their due date, and items sitting in a status like IN_PROGRESS for too
+// long, are reminded once: to the owner by DM, otherwise to the group chat (or the
+// chats subscribed to the checklist). What was sent is stored on the item
+// (reminders.overdue = the due date, reminders.stale = when the status was set),
+// so a restart doesn't send it again and a new due date or status re-arms it.
+const REMINDER_INTERVAL = parseInt(process.env.REMINDER_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+const STALE_AFTER_DAYS = parseInt(process.env.STALE_AFTER_DAYS || '14', 10);
+const STALE_STATUSES = (process.env.STALE_STATUSES || 'IN_PROGRESS').split(',').map(s => s.trim()).filter(Boolean);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Reminders an item is due for right now: [{ kind: 'overdue' | 'stale', key, text }]
+function dueReminders(item, now) {
+  const status = findStatus(STATUSES, item.status);
+  if (item.archivedAt || (status && status.done)) return [];
+
+  const sent = item.reminders || {};
+  const due = [];
+
+  if (item.dueDate && item.dueDate < now.toISOString().slice(0, 10) && sent.overdue !== item.dueDate) {
+    due.push({ kind: 'overdue', key: item.dueDate, text: `overdue, was due ${item.dueDate}` });
+  }
+
+  const since = item.statusChangedAt || item.lastModified;
+  const days = since ? Math.floor((now - new Date(since)) / DAY) : 0;
+
+  if (STALE_STATUSES.includes(item.status) && days >= STALE_AFTER_DAYS && sent.stale !== since) {
+    due.push({ kind: 'stale', key: since, text: `${statusLabel(item.status)} for ${days} days` });
+  }
+
+  return due;
+}
+
+// Real group chats get the reminder there, the default group only reaches its subscribers
+async function groupChats(checklist) {
+  return String(checklist.group_id) !== DEFAULT_GROUP_ID
+    ? [String(checklist.group_id)]
+    : subscribedChats(checklist);
+}
+
+async function sendReminders() {
+  if (!bot) return;
+
+  try {
+    const now = new Date();
+    const checklists = await storage.listChecklists();
+
+    for (const checklist of checklists) {
+      const pending = checklist.items
+        .map(item => ({ item, due: dueReminders(item, now) }))
+        .filter(({ due }) => due.length);
+
+      if (!pending.length) continue;
+
+      const fallbackChats = await groupChats(checklist);
+      const messages = new Map();
+
+      const lineFor = ({ item, due }) => `  ${item.name}: ${due.map(d => d.text).join(', ')}`;
+
+      for (const entry of pending) {
+        const owner = itemAssignee(checklist, entry.item);
+        const owned = owner ? [owner] : fallbackChats;
+        for (const chatId of owned) {
+          messages.set(chatId, [...(messages.get(chatId) || []), entry]);
+        }
+      }
+
+      const delivered = new Set();
+
+      for (const [chatId, entries] of messages) {
+        const text = `⏰ Reminder\n\n📋 ${checklist.name}\n${entries.map(lineFor).join('\n')}`.slice(0, MAX_MESSAGE_LENGTH);
+
+        try {
+          await bot.sendMessage(chatId, text);
+          entries.forEach(entry => delivered.add(entry));
+        } catch (err) {
+          // Owner never started the bot or blocked it - tell the group instead
+          console.error(`Reminder to ${chatId} failed:`, err.message);
+          const ownerOnly = entries.filter(entry => itemAssignee(checklist, entry.item));
+          for (const groupChatId of ownerOnly.length ? fallbackChats : []) {
+            try {
+              await bot.sendMessage(groupChatId, text);
+              ownerOnly.forEach(entry => delivered.add(entry));
+            } catch (groupErr) {
+              console.error(`Reminder to ${groupChatId} failed:`, groupErr.message);
+            }
+          }
+        }
+      }
+
+      // Remember what was sent; if the item changed meanwhile the next run looks again
+      for (const { item, due } of delivered) {
+        const reminders = { ...(item.reminders || {}) };
+        due.forEach(d => { reminders[d.kind] = d.key; });
+        await storage.updateItem(checklist.id, item.id, { reminders }, { expectedVersion: item.version || 0 });
+      }
+    }
+  } catch (err) {
+    console.error('Reminder error:', err);
+  }
+}
+
+storageReady.then(() => {
+  sendReminders();
+  setInterval(sendReminders, REMINDER_INTERVAL);
+});
+
+// ============================================
+// ASSIGNMENTS
+// ============================================
+
+// Who is responsible for an item: its owner, else the checklist's assignee
+function itemAssignee(checklist, item) {
+  const assignee = item.owner || checklist.assignee;
+  return assignee ? String(assignee) : null;
+}
+
+// Open items a user is responsible for across `checklists`, soonest due date first.
+// Returns [{ checklist, item, via: 'item' | 'checklist' }]
+function assignedTasks(checklists, telegramId) {
+  const tasks = checklists.flatMap(checklist =>
+    checklist.items
+      .filter(item => !item.archivedAt && itemAssignee(checklist, item) === String(telegramId))
+      .filter(item => !(findStatus(STATUSES, item.status) || {}).done)
+      .map(item => ({ checklist, item, via: item.owner ? 'item' : 'checklist' }))
+  );
+
+  return tasks.sort((a, b) =>
+    (a.item.dueDate || '9999').localeCompare(b.item.dueDate || '9999') ||
+    a.checklist.name.localeCompare(b.checklist.name)
+  );
+}
+
+// DM to someone who was just assigned work. Assigning yourself sends nothing;
+// a user who never started the bot can't be messaged, which is not an error.
+async function notifyAssignee(assignee, actor, text) {
+  if (!bot || !assignee || String(assignee) === String(actor)) return;
+
+  try {
+    const nameOf = await loadUserNames();
+    await bot.sendMessage(assignee, `${text}\n\nAssigned by ${nameOf(actor)}. /mine lists your tasks.`);
+  } catch (err) {
+    console.error(`Assignment message to ${assignee} failed:`, err.message);
+  }
+}
+
+// ============================================
+// CLIENT PAYLOADS
+// ============================================
+
+// Credentials never leave the server in lists or broadcasts: clients get the names
+// of filled fields and fetch the values with getItemDetails when the modal opens
+function filledFields(details) {
+  return Object.keys(details || {}).filter(field => details[field]);
+}
+
+// fields is the schema the details modal is rendered from
+function publicItem(item, fields) {
+  const { details, reminders, ...rest } = item;
+  return { ...rest, filledFields: filledFields(details), fields };
+}
+
+// Items archived by a template sync stay in storage but are not shown
+function publicChecklist(checklist) {
+  return {
+    ...checklist,
+    items: checklist.items
+      .filter(item => !item.archivedAt)
+      .map(item => publicItem(item, itemFields(checklist, item.id)))
+  };
+}
+
+// ============================================
+// ITEM HISTORY
+// ============================================
+
+// Status, emoji, planning fields and every details field that differs between two versions of an item
+function diffItemChanges(before, after) {
+  const changes = [];
+
+  if (before.status !== after.status) {
+    changes.push({ field: 'status', oldValue: before.status, newValue: after.status });
+  } else if (before.emoji !== after.emoji) {
+    // Emoji follows status, only record it when it was changed on its own
+    changes.push({ field: 'emoji', oldValue: before.emoji, newValue: after.emoji });
+  }
+
+  for (const field of ['dueDate', 'owner']) {
+    if ((before[field] || null) !== (after[field] || null)) {
+      changes.push({ field, oldValue: before[field] || '', newValue: after[field] || '' });
+    }
+  }
+
+  const oldDetails = before.details || {};
+  const newDetails = after.details || {};
+  const keys = new Set([...Object.keys(oldDetails), ...Object.keys(newDetails)]);
+
+  for (const key of keys) {
+    const oldValue = oldDetails[key] ?? '';
+    const newValue = newDetails[key] ?? '';
+    if (oldValue !== newValue) {
+      changes.push({ field: `details.${key}`, oldValue, newValue });
+    }
+  }
+
+  return changes;
+}
+
+function displayName(user) {
+  if (!user) return null;
+  return user.username ? `@${user.username}` : (user.first_name || user.telegram_id);
+}
+
+// telegram_id -> display name lookup; 'system' and unknown ids map to themselves
+async function loadUserNames() {
+  const users = await storage.listUsers();
+  const byTelegramId = {};
+  users.forEach(u => {
+    if (u.telegram_id) byTelegramId[String(u.telegram_id)] = u;
+  });
+
+  return (telegramId) => displayName(byTelegramId[String(telegramId)]) || telegramId;
+}
+
+// Attach actorName to history events (actor is a telegram_id or 'system')
+async function withActorNames(events) {
+  const nameOf = await loadUserNames();
+  return events.map(event => ({ ...event, actorName: nameOf(event.actor) }));
+}
+
+// Group chats follow their own checklists, private chats the default group
+const chatGroupId = (chat) => (chat.type === 'private' ? DEFAULT_GROUP_ID : String(chat.id));
+
+// Bot commands address checklists by name, only among the chat's group
+async function findChecklistByName(name, chat) {
+  const checklists = await storage.listChecklists({ groupId: chatGroupId(chat) });
+  return checklists.find(c => c.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// ============================================
+// COMMENTS
+// ============================================
+
+const publicComment = (comment, nameOf) => ({
+  id: comment.id,
+  author: comment.author,
+  authorName: nameOf(comment.author),
+  body: comment.body,
+  createdAt: comment.created_at
+});
+
+// Bot message to every @mentioned user; ones who never started the bot are skipped
+async function notifyMentions(users, text) {
+  if (!bot) return;
+
+  for (const user of users) {
+    try {
+      await bot.sendMessage(user.telegram_id, text.slice(0, MAX_MESSAGE_LENGTH));
+    } catch (err) {
+      console.error(`Mention message to ${user.telegram_id} failed:`, err.message);
+    }
+  }
+}
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+
+// Largest file accepted; bots can't download more than 20 MB from Telegram anyway
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 20) * 1024 * 1024;
+
+const publicAttachment = (attachment, nameOf) => ({
+  id: attachment.id,
+  fileName: attachment.file_name,
+  contentType: attachment.content_type,
+  size: attachment.size,
+  uploadedBy: attachment.uploaded_by,
+  uploadedByName: nameOf(attachment.uploaded_by),
+  createdAt: attachment.created_at
+});
+
+// Only the base name is kept, without control characters
+function cleanFileName(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+  return base.slice(0, 200) || 'file';
+}
+
+// Store the contents, record the attachment and tell the group. Returns the attachment row
+async function saveAttachment({ checklist, item, fileName, contentType, buffer, uploadedBy }) {
+  if (!buffer.length) {
+    throw new Error('The file is empty');
+  }
+
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`File is too large (max ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB)`);
+  }
+
+  // The key never contains the user's file name
+  const storageKey = `${checklist.id}/${item.id}/${crypto.randomBytes(16).toString('hex')}`;
+  await fileStore.put(storageKey, buffer, { contentType });
+
+  let attachment;
+  try {
+    attachment = await storage.addItemAttachment({
+      checklist_id: checklist.id,
+      item_id: item.id,
+      file_name: cleanFileName(fileName),
+      content_type: contentType || 'application/octet-stream',
+      size: buffer.length,
+      storage_key: storageKey,
+      uploaded_by: uploadedBy
+    });
+  } catch (err) {
+    await fileStore.remove(storageKey);
+    throw err;
+  }
+
+  const nameOf = await loadUserNames();
+  io.to(groupRoom(checklist.group_id)).emit('attachmentAdded', {
+    checklistId: checklist.id,
+    itemId: item.id,
+    attachment: publicAttachment(attachment, nameOf)
+  });
+
+  return attachment;
+}
+
+// Contents of every attachment of a checklist, before the checklist is purged
+async function removeAttachmentFiles(checklistId) {
+  const attachments = await storage.listItemAttachments({ checklistId });
+  for (const attachment of attachments) {
+    await fileStore.remove(attachment.storage_key);
+  }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Role needed to export with details, the same one that opens the details modal.
+// Such exports only go to that person: a download or a private chat with the bot
+const FULL_EXPORT_ROLE = 'editor';
+
+// Render checklists as a file and record who exported what.
+// Returns { filename, contentType, buffer }
+async function exportChecklists(checklists, { format, redact, actor, groupId, via }) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown format "${format}", use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const userName = await loadUserNames();
+  const data = buildExport(checklists, {
+    fieldsOf: itemFields,
+    statusName: (statusId) => (findStatus(STATUSES, statusId) || { name: statusId }).name,
+    userName,
+    redact
+  });
+  const buffer = await renderExport(data, format);
+
+  await storage.appendAuditEvent({
+    actor,
+    action: 'export',
+    group_id: groupId,
+    details: {
+      checklistIds: checklists.map(c => c.id),
+      format,
+      redacted: redact,
+      via
+    }
+  });
+
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const baseName = checklists.length === 1 ? checklists[0].name : 'checklists';
+  const slug = baseName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'checklist';
+  const date = data.exportedAt.slice(0, 10);
+
+  return { filename: `${slug}-${date}.${extension}`, contentType, buffer };
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Dry run of an import (see lib/import). The checklist name falls back to the
+// file's checklist column when it names a single checklist.
+// Returns { template, name, plan }
+// Problems with the file or the request are rejections, not server errors
+function previewImport({ templateId = DEFAULT_TEMPLATE_ID, name, content, format }) {
+  const template = findTemplate(templateId);
+  if (!template) {
+    throw rejection(`Template "${templateId}" not found`);
+  }
+
+  let rows;
+  try {
+    rows = parseImportFile(content, format);
+  } catch (err) {
+    throw rejection(err.message);
+  }
+
+  const plan = planImport(template, rows, { statuses: STATUSES });
+  const fileName = plan.checklistNames.length === 1 ? plan.checklistNames[0] : null;
+
+  return { template, name: (typeof name === 'string' && name.trim()) || fileName, plan };
+}
+
+// Create the checklist of a previewed import; unmatched and conflicting rows are skipped
+async function runImport({ template, name, plan }, { actor, groupId, via }) {
+  if (!name) {
+    throw rejection('The checklist needs a name');
+  }
+
+  name = normalizeChecklistName(name);
+  if (!name) {
+    throw rejection(`Checklist name must be 1-${MAX_CHECKLIST_NAME_LENGTH} characters`);
+  }
+
+  const updates = new Map(plan.updates.map(update => [update.itemId, update]));
+
+  const items = template.items.map(templateItem => {
+    const item = newChecklistItem(template, templateItem, actor);
+    const update = updates.get(templateItem.id);
+    if (!update) return item;
+
+    const status = update.status && findStatus(STATUSES, update.status);
+    if (status) {
+      item.status = status.id;
+      item.emoji = status.emoji;
+      item.statusChangedAt = item.lastModified;
+    }
+    return item;
+  });
+
+  const created = await storage.createChecklist({
+    name,
+    created_by: actor,
+    group_id: groupId,
+    template_id: template.id,
+    items,
+    is_archived: false,
+    created_at: new Date().toISOString()
+  });
+
+  // Details are encrypted for their checklist and item, so they go in once the checklist has an id.
+  // Nobody else has seen the checklist yet, the version check can't fail
+  for (const item of created.items) {
+    const update = updates.get(item.id);
+    if (!update || !Object.keys(update.details).length) continue;
+
+    const details = encryptDetails(update.details, { checklistId: created.id, itemId: item.id });
+    await storage.updateItem(created.id, item.id, { details }, { expectedVersion: item.version || 0 });
+  }
+  const checklist = await storage.getChecklist(created.id);
+
+  await storage.appendAuditEvent({
+    actor,
+    action: 'import',
+    group_id: groupId,
+    details: {
+      checklistId: checklist.id,
+      templateId: template.id,
+      imported: plan.matched.length,
+      unmatched: plan.unmatched.length,
+      conflicts: plan.conflicts.length,
+      via
+    }
+  });
+
+  return checklist;
+}
+
+// Dry-run report as chat text
+function formatImportReport({ template, name, plan }) {
+  const lines = [
+    `📥 Import into "${name || '?'}" from template ${template.name}`,
+    '',
+    `✅ ${plan.matched.length} rows match template items, ${plan.untouched} items stay empty`
+  ];
+
+  if (plan.unmatched.length) {
+    lines.push('', `❓ Unmatched (${plan.unmatched.length}), skipped:`);
+    lines.push(...plan.unmatched.map(row => `  line ${row.line}: ${row.name}`));
+  }
+
+  if (plan.conflicts.length) {
+    lines.push('', `⚠️ Conflicts (${plan.conflicts.length}), skipped:`);
+    lines.push(...plan.conflicts.map(row => `  line ${row.line} ${row.name}: ${row.reason}`));
+  }
+
+  if (plan.ignoredColumns.length) {
+    lines.push('', `Ignored columns: ${plan.ignoredColumns.join(', ')}`);
+  }
+
+  const text = lines.join('\n');
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}\n…` : text;
+}
+
+// Plan for the Mini App: the report without the details values
+const publicImportPreview = ({ template, name, plan }) => ({
+  templateId: template.id,
+  templateName: template.name,
+  name,
+  matched: plan.matched,
+  unmatched: plan.unmatched,
+  conflicts: plan.conflicts,
+  ignoredColumns: plan.ignoredColumns,
+  untouched: plan.untouched
+});
+
+// ============================================
+// TELEGRAM BOT SETUP
+// ============================================
+
+let bot = null;
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+// Only use polling in development, not on Railway (to avoid conflicts)
+const usePolling = !process.env.RAILWAY_ENVIRONMENT;
+const WEBHOOK_URL = 'https://telegram-checklist-production.up.railway.app';
+
+if (BOT_TOKEN) {
+  if (usePolling) {
+    bot = new TelegramBot(BOT_TOKEN, { polling: true });
+    console.log('✅ Telegram Bot connected (polling mode)');
+  } else {
+    bot = new TelegramBot(BOT_TOKEN, { polling: false });
+    
+    // Set up webhook for Railway
+    bot.setWebHook(`${WEBHOOK_URL}/bot${BOT_TOKEN}`).then(() => {
+      console.log('✅ Telegram Bot webhook set');
+    }).catch(err => {
+      console.error('❌ Failed to set webhook:', err.message);
+    });
+    
+    console.log('✅ Telegram Bot connected (webhook mode)');
+  }
+
+  // Get the Web App URL
+  const WEB_APP_URL = process.env.WEB_APP_URL || 'https://telegram-checklist-production.up.railway.app';
+  const BOT_USERNAME = 'checkAwsBot'; // Your bot username without @
+
+  // Helper: Get keyboard based on chat type (web_app doesn't work in groups)
+  function getAppKeyboard(chatType) {
+    if (chatType === 'private') {
+      // web_app works in private chats
+      return {
+        inline_keyboard: [
+          [{ text: '📋 FULL WORK', web_app: { url: WEB_APP_URL } }]
+        ]
+      };
+    } else {
+      // For groups, use URL that opens bot with Mini App
+      return {
+        inline_keyboard: [
+          [{ text: '📋 FULL WORK', url: `https://t.me/${BOT_USERNAME}?startapp=open` }]
+        ]
+      };
+    }
+  }
+
+  // Bot command handlers
+  bot.onText(/\/start/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const username = msg.from.username;
+
+    // Check if user exists in whitelist
+    const existingUser = await storage.findWhitelistedUser({ telegramId: userId, username });
+
+    if (!existingUser) {
+      // User not in whitelist
+      bot.sendMessage(chatId, 
+        '❌ Access denied.\n\n' +
+        'This bot is private. Ask admin to add you.',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    // Update user data (fill in telegram_id if was added by username)
+    try {
+      await storage.updateUser(existingUser.id, {
+        telegram_id: userId,
+        username: msg.from.username,
+        first_name: msg.from.first_name,
+        last_name: msg.from.last_name,
+        last_active: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error('Error updating user:', err);
+    }
+
+    const keyboard = getAppKeyboard(msg.chat.type);
+
+    bot.sendMessage(chatId, 
+      'Тыкай бебезьян',
+      { reply_markup: keyboard }
+    );
+  });
+
+  // Command to open app (works in groups)
+  bot.onText(/\/checklist/, async (msg) => {
+    const chatId = msg.chat.id;
+    const keyboard = getAppKeyboard(msg.chat.type);
+
+    bot.sendMessage(chatId, 
+      'Тыкай бебезьян',
+      { reply_markup: keyboard }
+    );
+  });
+
+  // Command /app as alias
+  bot.onText(/\/app/, async (msg) => {
+    const chatId = msg.chat.id;
+    const keyboard = getAppKeyboard(msg.chat.type);
+
+    bot.sendMessage(chatId, 
+      'Тыкай бебезьян',
+      { reply_markup: keyboard }
+    );
+  });
+
+  // Command /pin - create pinned message with app button (for groups)
+  bot.onText(/\/pin/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    // Check if it's a group
+    if (msg.chat.type === 'private') {
+      bot.sendMessage(chatId, '⚠️ This command only works in groups');
+      return;
+    }
+    
+    // Use URL button for groups (web_app doesn't work in groups)
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: '📋 FULL WORK', url: `https://t.me/${BOT_USERNAME}?startapp=open` }]
+      ]
+    };
+
+    try {
+      // Send message with button
+      const sentMsg = await bot.sendMessage(chatId, 
+        'Тыкай бебезьян',
+        { 
+          reply_markup: keyboard
+        }
+      );
+      
+      // Pin the message
+      await bot.pinChatMessage(chatId, sentMsg.message_id, { disable_notification: true });
+      
+    } catch (err) {
+      console.error('Error pinning message:', err.message);
+      bot.sendMessage(chatId, '❌ Could not pin message. Make sure bot has "Pin Messages" admin right.');
+    }
+  });
+
+  bot.onText(/\/admin (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const targetUserId = match[1].trim();
+
+    // Check if sender is admin
+    const senderData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(senderData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Access denied. Only admins can do this.');
+      return;
+    }
+
+    try {
+      await storage.upsertUserByTelegramId(targetUserId, roleFields('admin'));
+
+      bot.sendMessage(chatId, `✅ User ${targetUserId} is now admin`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  bot.onText(/\/unadmin (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const targetUserId = match[1].trim();
+
+    const senderData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(senderData, 'admin')) {
+      bot.sendMessage(chatId, '❌ У вас нет прав.');
+      return;
+    }
+
+    try {
+      const targetUser = await storage.getUserByTelegramId(targetUserId);
+      if (targetUser) {
+        await storage.updateUser(targetUser.id, roleFields('editor'));
+      }
+
+      bot.sendMessage(chatId, `✅ Пользователь ${targetUserId} больше не админ`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Ошибка: ${err.message}`);
+    }
+  });
+
+  bot.onText(/\/admins/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const senderData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(senderData, 'admin')) {
+      bot.sendMessage(chatId, '❌ У вас нет прав.');
+      return;
+    }
+
+    try {
+      const admins = await storage.listUsers({ adminsOnly: true });
+
+      const adminList = admins
+        .map(a => `👤 ${a.first_name || a.username || a.telegram_id}`)
+        .join('\n');
+      
+      bot.sendMessage(chatId, `👨‍💼 Список админов:\n${adminList || 'Нет админов'}`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Ошибка: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // USER WHITELIST MANAGEMENT (Admin only)
+  // ============================================
+
+  // /adduser @username [viewer|editor|admin] - Add user to whitelist
+  bot.onText(/\/adduser @?(\w+)(?:\s+(viewer|editor|admin))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const adminId = msg.from.id.toString();
+    const targetUsername = match[1].toLowerCase();
+    const role = match[2] || 'editor';
+
+    // Check if sender is admin
+    const adminData = await storage.getUserByTelegramId(adminId);
+
+    if (!hasRole(adminData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    // Check if user already exists
+    const existing = await storage.getUserByUsername(targetUsername);
+
+    if (existing) {
+      bot.sendMessage(chatId, `⚠️ User @${targetUsername} already exists`);
+      return;
+    }
+
+    // Add user with just username (telegram_id will be filled when they /start)
+    try {
+      await storage.createUser({
+        username: targetUsername,
+        telegram_id: null,
+        ...roleFields(role),
+        created_at: new Date().toISOString()
+      });
+
+      bot.sendMessage(chatId, `✅ Added @${targetUsername} to whitelist as ${role}\n\nThey can now use /start to access the bot.`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // /deluser @username - Remove user from whitelist
+  bot.onText(/\/deluser @?(\w+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const adminId = msg.from.id.toString();
+    const targetUsername = match[1].toLowerCase();
+
+    // Check if sender is admin
+    const adminData = await storage.getUserByTelegramId(adminId);
+
+    if (!hasRole(adminData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    try {
+      const deleted = await storage.deleteUserByUsername(targetUsername);
+
+      if (deleted > 0) {
+        bot.sendMessage(chatId, `✅ Removed @${targetUsername} from whitelist`);
+      } else {
+        bot.sendMessage(chatId, `❌ User @${targetUsername} not found`);
+      }
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // /role @username viewer|editor|admin - Change user's role
+  bot.onText(/\/role @?(\w+) (\w+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const adminId = msg.from.id.toString();
+    const targetUsername = match[1].toLowerCase();
+    const role = match[2].toLowerCase();
+
+    const adminData = await storage.getUserByTelegramId(adminId);
+
+    if (!hasRole(adminData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    if (!ROLES.includes(role)) {
+      bot.sendMessage(chatId, `❌ Unknown role "${role}". Use: ${ROLES.join(', ')}`);
+      return;
+    }
+
+    try {
+      const targetUser = await storage.getUserByUsername(targetUsername);
+      if (!targetUser) {
+        bot.sendMessage(chatId, `❌ User @${targetUsername} not found`);
+        return;
+      }
+
+      await storage.updateUser(targetUser.id, roleFields(role));
+      bot.sendMessage(chatId, `✅ @${targetUsername} is now ${role}`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // /users - List all whitelisted users
+  bot.onText(/\/users/, async (msg) => {
+    const chatId = msg.chat.id;
+    const adminId = msg.from.id.toString();
+
+    // Check if sender is admin
+    const adminData = await storage.getUserByTelegramId(adminId);
+
+    if (!hasRole(adminData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    try {
+      const users = await storage.listUsers();
+
+      const userList = users
+        .map(u => {
+          const name = u.first_name || u.username || 'Unknown';
+          const status = u.telegram_id ? '✅' : '⏳'; // ✅ = activated, ⏳ = pending
+          const role = getRole(u);
+          const badge = role === 'admin' ? ' 👑' : role === 'viewer' ? ' 👁' : '';
+          return `${status} @${u.username || 'no_username'} (${name})${badge}`;
+        })
+        .join('\n');
+      
+      bot.sendMessage(chatId, 
+        `👥 *Whitelist* (${users.length} users):\n\n${userList || 'Empty'}\n\n` +
+        `✅ = activated, ⏳ = pending /start\n` +
+        `👑 = admin, 👁 = viewer, others are editors\n\n` +
+        `Commands:\n` +
+        `/adduser @username [role] - Add user\n` +
+        `/deluser @username - Remove user\n` +
+        `/role @username viewer|editor|admin - Change role`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // TEMPLATE MANAGEMENT (Admin only)
+  // ============================================
+
+  // Shared by the template commands: replies and returns null when the id is unknown
+  function requireTemplate(chatId, templateId) {
+    const template = findTemplate(templateId);
+    if (!template) {
+      bot.sendMessage(chatId,
+        `❌ Template "${templateId}" not found\n\n` +
+        `Templates: ${TEMPLATES.map(t => t.id).join(', ')}`
+      );
+    }
+    return template;
+  }
+
+  // /templates - Show all templates
+  bot.onText(/\/templates/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const templateList = TEMPLATES
+      .map(t => `${t.id} - ${t.name} (${t.items.length} items)`)
+      .join('\n');
+
+    bot.sendMessage(chatId, 
+      `🗂 Templates (${TEMPLATES.length}):\n\n${templateList}\n\n` +
+      `Commands:\n` +
+      `/newtemplate key Name - Create template\n` +
+      `/banks key - Show template items`
+    );
+  });
+
+  // /newtemplate <key> [name] - Create an empty template
+  bot.onText(/\/newtemplate (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const [key, ...nameParts] = match[1].trim().split(/\s+/);
+    const templateId = key.toLowerCase();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    if (!TEMPLATE_ID_PATTERN.test(templateId)) {
+      bot.sendMessage(chatId, '❌ Template key may only contain a-z, 0-9, "-" and "_"\n\nExample: /newtemplate crypto Crypto Exchanges');
+      return;
+    }
+
+    if (findTemplate(templateId)) {
+      bot.sendMessage(chatId, `❌ Template "${templateId}" already exists`);
+      return;
+    }
+
+    const template = {
+      id: templateId,
+      name: nameParts.join(' ') || key,
+      items: []
+    };
+
+    TEMPLATES.push(template);
+
+    if (await saveTemplates()) {
+      io.emit('templatesUpdated', { templates: TEMPLATES.map(templateSummary) });
+      bot.sendMessage(chatId, `✅ Created template "${template.name}"\n\nAdd items with /addbank ${templateId} Name`);
+    } else {
+      bot.sendMessage(chatId, '❌ Error saving');
+    }
+  });
+
+  // /banks [template] - Show items of a template
+  bot.onText(/\/banks(?: (\S+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const template = requireTemplate(chatId, match[1] || DEFAULT_TEMPLATE_ID);
+    if (!template) return;
+
+    const itemList = template.items
+      .map(b => `${b.id}. ${b.name}`)
+      .join('\n');
+
+    bot.sendMessage(chatId, 
+      `🏦 *${template.name}* (${template.items.length} items):\n\n${itemList || 'Empty'}\n\n` +
+      `Commands:\n` +
+      `/addbank ${template.id} Name - Add item\n` +
+      `/delbank ${template.id} 5 - Delete item by ID\n` +
+      `/renamebank ${template.id} 5 New Name - Rename item\n` +
+      `/syncbanks preview ${template.id} - Show what a sync would change\n` +
+      `/fields ${template.id} [item id] - Detail fields\n` +
+      `/syncbanks ${template.id} - Apply to its checklists\n` +
+      `/templates - All templates`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+
+  // /addbank <template> <name> - Add item to a template
+  bot.onText(/\/addbank (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const [templateId, ...nameParts] = match[1].trim().split(/\s+/);
+    const bankName = nameParts.join(' ');
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    if (!bankName) {
+      bot.sendMessage(chatId, `❌ Usage: /addbank <template> <name>\n\nExample: /addbank ${DEFAULT_TEMPLATE_ID} Wise`);
+      return;
+    }
+
+    const template = requireTemplate(chatId, templateId);
+    if (!template) return;
+
+    // Ids are never reused: checklists match items by id, a recycled id would
+    // hand a deleted item's status and details to the new one
+    const maxId = Math.max(...template.items.map(b => b.id), 0);
+    const newId = Math.max(maxId + 1, template.nextItemId || 0);
+    template.nextItemId = newId + 1;
+
+    const newBank = {
+      id: newId,
+      name: bankName,
+      status: 'NOT_STARTED',
+      emoji: '⬜'
+    };
+
+    template.items.push(newBank);
+    
+    if (await saveTemplates()) {
+      bot.sendMessage(chatId, `✅ Added to ${template.name}: ${newBank.id}. ${bankName}\n\nUse /syncbanks ${template.id} to apply to existing checklists`);
+    } else {
+      bot.sendMessage(chatId, '❌ Error saving');
+    }
+  });
+
+  // /delbank <template> <id> - Delete item by ID
+  bot.onText(/\/delbank (\S+) (\d+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const bankId = parseInt(match[2]);
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const template = requireTemplate(chatId, match[1]);
+    if (!template) return;
+
+    const bank = template.items.find(b => b.id === bankId);
+    if (!bank) {
+      bot.sendMessage(chatId, `❌ Item with ID ${bankId} not found in ${template.name}`);
+      return;
+    }
+
+    template.items = template.items.filter(b => b.id !== bankId);
+    template.nextItemId = Math.max(template.nextItemId || 0, bankId + 1);
+    
+    if (await saveTemplates()) {
+      bot.sendMessage(chatId,
+        `✅ Deleted: ${bank.name}\n\n` +
+        `Use /syncbanks preview ${template.id} to see what changes, /syncbanks ${template.id} to apply.\n` +
+        `Checklists where it has saved details, comments or files keep it archived.`
+      );
+    } else {
+      bot.sendMessage(chatId, '❌ Error saving');
+    }
+  });
+
+  // /renamebank <template> <id> <new name> - Rename item
+  bot.onText(/\/renamebank (\S+) (\d+) (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const bankId = parseInt(match[2]);
+    const newName = match[3].trim();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const template = requireTemplate(chatId, match[1]);
+    if (!template) return;
+
+    const bank = template.items.find(b => b.id === bankId);
+    if (!bank) {
+      bot.sendMessage(chatId, `❌ Item with ID ${bankId} not found in ${template.name}`);
+      return;
+    }
+
+    const oldName = bank.name;
+    bank.name = newName;
+    
+    if (await saveTemplates()) {
+      bot.sendMessage(chatId, `✅ Renamed: "${oldName}" → "${newName}"\n\nUse /syncbanks ${template.id} to apply to existing checklists`);
+    } else {
+      bot.sendMessage(chatId, '❌ Error saving');
+    }
+  });
+
+  // /syncbanks [preview] [template] - Apply templates to existing checklists
+  bot.onText(/\/syncbanks(?: (.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const preview = args[0] === 'preview';
+    const templateArg = preview ? args[1] : args[0];
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const template = templateArg ? requireTemplate(chatId, templateArg) : null;
+    if (templateArg && !template) return;
+
+    const templateId = template ? template.id : null;
+
+    if (preview) {
+      const result = await syncTemplatesToChecklists(templateId, { dryRun: true });
+
+      if (!result.success) {
+        bot.sendMessage(chatId, `❌ Error: ${result.error || 'Unknown error'}`);
+      } else if (!result.changes.length) {
+        bot.sendMessage(chatId, '✅ All checklists already match their templates');
+      } else {
+        bot.sendMessage(chatId,
+          `🔍 Sync preview, ${result.changes.length} checklists will change:\n\n` +
+          formatSyncPreview(result.changes) +
+          `Run /syncbanks${templateId ? ` ${templateId}` : ''} to apply.`
+        );
+      }
+      return;
+    }
+
+    bot.sendMessage(chatId, '⏳ Syncing...');
+
+    const result = await syncTemplatesToChecklists(templateId);
+    
+    if (result.success) {
+      // Notify all connected clients to refresh
+      io.emit('templateUpdated', { templateId });
+      bot.sendMessage(chatId, `✅ Done! Updated ${result.updated} checklists.\n\nUsers will see changes after refresh.`);
+    } else {
+      bot.sendMessage(chatId, `❌ Error: ${result.error || 'Unknown error'}`);
+    }
+  });
+
+  // ============================================
+  // DETAIL FIELDS (Admin only)
+  // ============================================
+
+  // "<template> [itemId] ..." -> the template, the item (if an id was given) and the remaining args
+  function parseFieldTarget(chatId, text) {
+    const [templateId, ...args] = text.trim().split(/\s+/);
+    const template = requireTemplate(chatId, templateId);
+    if (!template) return null;
+
+    if (!/^\d+$/.test(args[0] || '')) return { template, templateItem: null, args };
+
+    const itemId = parseInt(args[0]);
+    const templateItem = template.items.find(b => b.id === itemId);
+    if (!templateItem) {
+      bot.sendMessage(chatId, `❌ Item with ID ${itemId} not found in ${template.name}`);
+      return null;
+    }
+
+    return { template, templateItem, args: args.slice(1) };
+  }
+
+  const describeField = (field) =>
+    `${field.key} - ${field.label} (${[field.type, field.secret && 'secret', field.copyable && 'copy'].filter(Boolean).join(', ')})`;
+
+  // Clients get schemas with the checklists, make them reload
+  async function saveFieldChange(chatId, message) {
+    if (await saveTemplates()) {
+      io.emit('templateUpdated', {});
+      bot.sendMessage(chatId, message);
+    } else {
+      bot.sendMessage(chatId, '❌ Error saving');
+    }
+  }
+
+  // /fields <template> [itemId] - Show the detail fields of a template or item
+  bot.onText(/\/fields (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const target = parseFieldTarget(chatId, match[1]);
+    if (!target) return;
+
+    const { template, templateItem } = target;
+    const source = templateItem && templateItem.fields ? 'own fields'
+      : template.fields ? 'template fields' : 'default fields';
+    const prefix = `${template.id}${templateItem ? ` ${templateItem.id}` : ''}`;
+
+    bot.sendMessage(chatId,
+      `🧾 ${template.name}${templateItem ? ` › ${templateItem.name}` : ''} (${source}):\n\n` +
+      `${fieldsFor(template, templateItem).map(describeField).join('\n') || 'No fields'}\n\n` +
+      `Commands:\n` +
+      `/addfield ${prefix} key type Label - Add or change a field\n` +
+      `/delfield ${prefix} key - Remove a field\n` +
+      `/resetfields ${prefix} - Back to ${templateItem ? 'template' : 'default'} fields\n\n` +
+      `Types: ${FIELD_TYPES.join(', ')}\n` +
+      `Add ",secret" to hide the value, ",nocopy" to drop the copy button (e.g. text,secret)`
+    );
+  });
+
+  // /addfield <template> [itemId] <key> <type>[,secret][,nocopy] <label> - Add or change a field
+  bot.onText(/\/addfield (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const target = parseFieldTarget(chatId, match[1]);
+    if (!target) return;
+
+    const { template, templateItem, args } = target;
+    const [key, typeSpec = 'text', ...labelParts] = args;
+
+    if (!key) {
+      bot.sendMessage(chatId, `❌ Usage: /addfield <template> [item id] <key> <type> <label>\n\nExample: /addfield ${template.id} iban text IBAN`);
+      return;
+    }
+
+    const [type, ...flags] = typeSpec.toLowerCase().split(',');
+
+    let field;
+    try {
+      field = normalizeField({
+        key,
+        type,
+        label: labelParts.join(' ') || key,
+        secret: flags.includes('secret'),
+        copyable: !flags.includes('nocopy')
+      });
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ ${err.message}`);
+      return;
+    }
+
+    // The first change to an item or template starts from the fields it inherits
+    const owner = templateItem || template;
+    const fields = fieldsFor(template, templateItem).map(f => ({ ...f }));
+    const index = fields.findIndex(f => f.key === field.key);
+
+    if (index === -1) {
+      fields.push(field);
+    } else {
+      fields[index] = field;
+    }
+    owner.fields = fields;
+
+    await saveFieldChange(chatId, `✅ ${index === -1 ? 'Added' : 'Updated'} field: ${describeField(field)}`);
+  });
+
+  // /delfield <template> [itemId] <key> - Remove a field (saved values are kept)
+  bot.onText(/\/delfield (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const target = parseFieldTarget(chatId, match[1]);
+    if (!target) return;
+
+    const { template, templateItem, args } = target;
+    const key = (args[0] || '').toLowerCase();
+    const fields = fieldsFor(template, templateItem);
+
+    if (!fields.some(f => f.key === key)) {
+      bot.sendMessage(chatId, `❌ Field "${key}" not found\n\nFields: ${fields.map(f => f.key).join(', ')}`);
+      return;
+    }
+
+    (templateItem || template).fields = fields.filter(f => f.key !== key).map(f => ({ ...f }));
+
+    await saveFieldChange(chatId, `✅ Removed field "${key}"\n\nValues already saved in checklists are kept, just no longer shown.`);
+  });
+
+  // /resetfields <template> [itemId] - Drop custom fields of an item or template
+  bot.onText(/\/resetfields (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const target = parseFieldTarget(chatId, match[1]);
+    if (!target) return;
+
+    const { template, templateItem } = target;
+    delete (templateItem || template).fields;
+
+    await saveFieldChange(chatId, `✅ ${templateItem ? templateItem.name : template.name} uses ${templateItem ? 'template' : 'default'} fields again`);
+  });
+
+  // ============================================
+  // STATUS WORKFLOW (Admin only)
+  // ============================================
+
+  const describeStatus = (status) => {
+    const next = status.transitions
+      ? status.transitions.map(id => findStatus(STATUSES, id) ? id : `${id}?`).join(', ') || 'none'
+      : 'any';
+    return `${status.emoji} ${status.id} - ${status.name} ${status.color} → ${next}${status.done ? ' (done)' : ''}`;
+  };
+
+  // Clients get the workflow with init, push the new one
+  async function saveWorkflowChange(chatId, message) {
+    if (await saveWorkflow()) {
+      io.emit('workflowUpdated', { statuses: STATUSES });
+      bot.sendMessage(chatId, message);
+    } else {
+      bot.sendMessage(chatId, '❌ Error saving');
+    }
+  }
+
+  // /statuses - Show the status workflow
+  bot.onText(/\/statuses/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    bot.sendMessage(chatId,
+      `🚦 Statuses (${STATUSES.length}), new items start in the first one:\n\n` +
+      `${STATUSES.map(describeStatus).join('\n')}\n\n` +
+      `Commands:\n` +
+      `/addstatus ID emoji #rrggbb Name - Add or change a status\n` +
+      `/delstatus ID - Remove a status\n` +
+      `/transitions ID NEXT_ID,NEXT_ID - Where an item can move next (or "any")\n` +
+      `/donestatus ID on|off - Count as done in progress`
+    );
+  });
+
+  // /addstatus <ID> <emoji> <#colour> <name> - Add or change a status
+  bot.onText(/\/addstatus (\S+) (\S+) (\S+) (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const existing = findStatus(STATUSES, match[1].toUpperCase());
+
+    let status;
+    try {
+      status = normalizeStatus({
+        id: match[1],
+        emoji: match[2],
+        color: match[3],
+        name: match[4].trim(),
+        // A changed status keeps its transitions and done flag
+        transitions: existing ? existing.transitions : null,
+        done: existing ? existing.done : false
+      });
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ ${err.message}\n\nExample: /addstatus FROZEN 🧊 #5bc0de Frozen`);
+      return;
+    }
+
+    STATUSES = existing
+      ? STATUSES.map(s => (s.id === status.id ? status : s))
+      : [...STATUSES, status];
+
+    await saveWorkflowChange(chatId,
+      `✅ ${existing ? 'Updated' : 'Added'}: ${describeStatus(status)}\n\n` +
+      `Existing items keep their emoji until their status changes.`
+    );
+  });
+
+  // /donestatus <ID> <on|off> - Whether items in a status count as done in progress summaries
+  bot.onText(/\/donestatus (\S+) (on|off)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const status = matchStatus(STATUSES, match[1]);
+    if (!status) {
+      bot.sendMessage(chatId, `❌ Status "${match[1]}" not found`);
+      return;
+    }
+
+    const updated = { ...status, done: match[2] === 'on' };
+    STATUSES = STATUSES.map(s => (s.id === status.id ? updated : s));
+
+    await saveWorkflowChange(chatId, `✅ ${describeStatus(updated)}`);
+  });
+
+  // /delstatus <ID> - Remove a status (items in it can then move anywhere)
+  bot.onText(/\/delstatus (\S+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const status = matchStatus(STATUSES, match[1]);
+    if (!status) {
+      bot.sendMessage(chatId, `❌ Status "${match[1]}" not found`);
+      return;
+    }
+
+    if (STATUSES.length === 1) {
+      bot.sendMessage(chatId, '❌ The workflow needs at least one status');
+      return;
+    }
+
+    STATUSES = STATUSES
+      .filter(s => s.id !== status.id)
+      .map(s => (s.transitions ? { ...s, transitions: s.transitions.filter(id => id !== status.id) } : s));
+
+    await saveWorkflowChange(chatId, `✅ Removed: ${status.emoji} ${status.name}`);
+  });
+
+  // /transitions <ID> <ID,ID,...|any> - Set where items in a status may move next
+  bot.onText(/\/transitions (\S+) (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const status = matchStatus(STATUSES, match[1]);
+    if (!status) {
+      bot.sendMessage(chatId, `❌ Status "${match[1]}" not found`);
+      return;
+    }
+
+    let transitions = null;
+
+    if (match[2].trim().toLowerCase() !== 'any') {
+      const ids = match[2].split(/[\s,]+/).filter(Boolean).map(id => id.toUpperCase());
+      const unknown = ids.filter(id => !findStatus(STATUSES, id));
+
+      if (unknown.length) {
+        bot.sendMessage(chatId, `❌ Unknown statuses: ${unknown.join(', ')}\n\nStatuses: ${STATUSES.map(s => s.id).join(', ')}`);
+        return;
+      }
+
+      transitions = [...new Set(ids)].filter(id => id !== status.id);
+    }
+
+    const updated = { ...status, transitions };
+    STATUSES = STATUSES.map(s => (s.id === status.id ? updated : s));
+
+    await saveWorkflowChange(chatId, `✅ ${describeStatus(updated)}`);
+  });
+
+  // ============================================
+  // PROGRESS
+  // ============================================
+
+  // /status [checklist] - Progress of one checklist, or of every checklist in this chat
+  bot.onText(/^\/status(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const checklistName = (match[1] || '').trim();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    try {
+      if (checklistName) {
+        const checklist = await findChecklistByName(checklistName, msg.chat);
+        if (!checklist) {
+          bot.sendMessage(chatId, `❌ Checklist "${checklistName}" not found`);
+          return;
+        }
+
+        bot.sendMessage(chatId, formatChecklistSummary(checklist, { detailed: true }));
+        return;
+      }
+
+      // Only the chat's own group, never another group's checklists
+      const checklists = await storage.listChecklists({ groupId: chatGroupId(msg.chat) });
+
+      let text = `📊 Progress (${checklists.length} checklists):\n\n`;
+      for (const [index, checklist] of checklists.entries()) {
+        const block = `${formatChecklistSummary(checklist)}\n\n`;
+        if (text.length + block.length > MAX_MESSAGE_LENGTH) {
+          text += `…and ${checklists.length - index} more, use /status <name>`;
+          break;
+        }
+        text += block;
+      }
+
+      bot.sendMessage(chatId, checklists.length ? text.trim() : '📭 No checklists');
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // NOTIFICATIONS
+  // ============================================
+
+  // /subscribe [checklist] - Status change messages for a checklist or the whole group
+  bot.onText(/^\/subscribe(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const checklistName = (match[1] || '').trim();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    try {
+      let target;
+
+      if (checklistName) {
+        const checklist = await findChecklistByName(checklistName, msg.chat);
+        if (!checklist) {
+          bot.sendMessage(chatId, `❌ Checklist "${checklistName}" not found`);
+          return;
+        }
+        target = { group_id: String(checklist.group_id), checklist_id: checklist.id, label: `"${checklist.name}"` };
+      } else {
+        target = { group_id: chatGroupId(msg.chat), checklist_id: null, label: 'all checklists of this group' };
+      }
+
+      const subscription = await storage.addSubscription({
+        chat_id: String(chatId),
+        group_id: target.group_id,
+        checklist_id: target.checklist_id,
+        created_by: userId
+      });
+
+      if (!subscription) {
+        bot.sendMessage(chatId, `ℹ️ This chat is already subscribed to ${target.label}`);
+        return;
+      }
+
+      bot.sendMessage(chatId,
+        `🔔 Subscribed to ${target.label}\n\n` +
+        `This chat gets a message when an item moves into or out of a done status ` +
+        `(${STATUSES.filter(s => s.done).map(s => `${s.emoji} ${s.name}`).join(', ') || 'none configured'}). ` +
+        `Changes are collected for ${NOTIFY_BATCH_SECONDS}s and sent together.\n\n` +
+        `/unsubscribe${checklistName ? ` ${checklistName}` : ''} - Stop`
+      );
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // /unsubscribe [checklist] - Stop messages for a checklist, or all of this chat's subscriptions
+  bot.onText(/^\/unsubscribe(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const checklistName = (match[1] || '').trim();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    try {
+      let subscriptions = await storage.listSubscriptions({ chatId: String(chatId) });
+
+      if (checklistName) {
+        const checklist = await findChecklistByName(checklistName, msg.chat);
+        if (!checklist) {
+          bot.sendMessage(chatId, `❌ Checklist "${checklistName}" not found`);
+          return;
+        }
+        subscriptions = subscriptions.filter(s => String(s.checklist_id) === String(checklist.id));
+      }
+
+      for (const subscription of subscriptions) {
+        await storage.deleteSubscription(subscription.id);
+      }
+
+      bot.sendMessage(chatId, subscriptions.length
+        ? `🔕 Removed ${subscriptions.length} subscription${subscriptions.length === 1 ? '' : 's'}`
+        : 'ℹ️ Nothing to unsubscribe from'
+      );
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // MY TASKS
+  // ============================================
+
+  // /mine - Open items assigned to you (directly or through their checklist)
+  bot.onText(/^\/mine(?:@\w+)?$/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    try {
+      // Only the chat's group, like /status: private chats see the default group,
+      // the same checklists the Mini App shows when opened there
+      const checklists = await storage.listChecklists({ groupId: chatGroupId(msg.chat) });
+
+      const tasks = assignedTasks(checklists, userId);
+      if (!tasks.length) {
+        bot.sendMessage(chatId, '🎉 Nothing assigned to you');
+        return;
+      }
+
+      const today = new Date().toISOString().slice(0, 10);
+      const lines = tasks.map(({ checklist, item }) => {
+        const due = item.dueDate ? ` 📅 ${item.dueDate}${item.dueDate < today ? ' ⚠️' : ''}` : '';
+        return `${item.emoji} ${item.name} — ${checklist.name}${due}`;
+      });
+
+      let text = `📌 Your tasks (${tasks.length}):\n\n`;
+      for (const [index, line] of lines.entries()) {
+        if (text.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+          text += `…and ${lines.length - index} more`;
+          break;
+        }
+        text += `${line}\n`;
+      }
+
+      bot.sendMessage(chatId, text.trim());
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  // /export <checklist|all> [csv|json|xlsx] [full] - Send checklists as a document.
+  // Details are redacted; "full" includes them for editors, in a private chat only
+  bot.onText(/^\/export(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    // Options come last, everything before them is the checklist name
+    let format = 'csv';
+    let redact = true;
+    while (args.length > 1) {
+      const option = args[args.length - 1].toLowerCase();
+      if (EXPORT_FORMATS[option]) format = option;
+      else if (option === 'full') redact = false;
+      else break;
+      args.pop();
+    }
+    const target = args.join(' ');
+
+    if (!target) {
+      bot.sendMessage(chatId,
+        `Usage: /export <checklist|all> [${Object.keys(EXPORT_FORMATS).join('|')}] [full]`
+      );
+      return;
+    }
+
+    if (!redact && !hasRole(userData, FULL_EXPORT_ROLE)) {
+      bot.sendMessage(chatId, '❌ Editor role required for full exports');
+      return;
+    }
+
+    if (!redact && msg.chat.type !== 'private') {
+      bot.sendMessage(chatId, '❌ Full exports are only sent in a private chat with the bot');
+      return;
+    }
+
+    try {
+      let checklists;
+      if (target.toLowerCase() === 'all') {
+        checklists = await storage.listChecklists({ groupId: chatGroupId(msg.chat) });
+      } else {
+        const checklist = await findChecklistByName(target, msg.chat);
+        if (!checklist) {
+          bot.sendMessage(chatId, `❌ Checklist "${target}" not found`);
+          return;
+        }
+        checklists = [checklist];
+      }
+
+      if (!checklists.length) {
+        bot.sendMessage(chatId, '📭 No checklists');
+        return;
+      }
+
+      const file = await exportChecklists(checklists, {
+        format,
+        redact,
+        actor: userId,
+        groupId: chatGroupId(msg.chat),
+        via: 'bot'
+      });
+
+      await bot.sendDocument(chatId, file.buffer, {
+        caption: `📦 ${checklists.length} checklist(s), ${redact ? 'details redacted' : '⚠️ includes details'}`
+      }, {
+        filename: file.filename,
+        contentType: file.contentType
+      });
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // IMPORT
+  // ============================================
+
+  // Previewed imports waiting for /import confirm, by chat and user
+  const pendingImports = new Map();
+  const IMPORT_CONFIRM_MINUTES = 15;
+  const importKey = (msg) => `${msg.chat.id}:${msg.from.id}`;
+
+  // Previews nobody confirmed would otherwise stay in memory for good
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, pending] of pendingImports) {
+      if (pending.expiresAt < now) pendingImports.delete(key);
+    }
+  }, 60 * 1000);
+
+  const IMPORT_USAGE =
+    'Send a CSV or JSON file with the caption\n' +
+    '/import <template> [checklist name]\n\n' +
+    'Rows are matched to template items by id or name; columns are status and details fields.';
+
+  // Contents of a file sent to the bot, as a Buffer
+  async function downloadFile(fileId) {
+    const chunks = [];
+    for await (const chunk of bot.getFileStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // File with caption /import <template> [name] - Dry run, then /import confirm
+  bot.on('document', async (msg) => {
+    const caption = (msg.caption || '').trim();
+    const match = caption.match(/^\/import(?:@\w+)?(?:\s+(\S+))?(?:\s+(.+))?$/);
+    if (!match) return;
+
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    if (!match[1]) {
+      bot.sendMessage(chatId, `Usage:\n${IMPORT_USAGE}`);
+      return;
+    }
+
+    if (msg.document.file_size > MAX_IMPORT_BYTES) {
+      bot.sendMessage(chatId, `❌ File is too large (max ${MAX_IMPORT_BYTES / 1024} KB)`);
+      return;
+    }
+
+    try {
+      const fileName = (msg.document.file_name || '').toLowerCase();
+      const format = fileName.endsWith('.json') ? 'json' : fileName.endsWith('.csv') ? 'csv' : undefined;
+
+      const preview = previewImport({
+        templateId: match[1],
+        name: match[2],
+        content: (await downloadFile(msg.document.file_id)).toString('utf8'),
+        format
+      });
+
+      pendingImports.set(importKey(msg), {
+        preview,
+        groupId: chatGroupId(msg.chat),
+        expiresAt: Date.now() + IMPORT_CONFIRM_MINUTES * 60 * 1000
+      });
+
+      const next = preview.name
+        ? `/import confirm to create the checklist, /import cancel to drop it (${IMPORT_CONFIRM_MINUTES} min)`
+        : '/import confirm <checklist name> to create the checklist, /import cancel to drop it';
+
+      bot.sendMessage(chatId, `${formatImportReport(preview)}\n\n${next}`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // /import confirm [name] | cancel - Finish or drop the previewed import
+  bot.onText(/^\/import(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const [action, ...rest] = (match[1] || '').trim().split(/\s+/);
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    const key = importKey(msg);
+    const pending = pendingImports.get(key);
+
+    if (action === 'cancel') {
+      pendingImports.delete(key);
+      bot.sendMessage(chatId, pending ? '🗑️ Import dropped' : 'ℹ️ No import waiting');
+      return;
+    }
+
+    if (action !== 'confirm') {
+      bot.sendMessage(chatId, `Usage:\n${IMPORT_USAGE}`);
+      return;
+    }
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      pendingImports.delete(key);
+      bot.sendMessage(chatId, '❌ No import waiting, send the file again');
+      return;
+    }
+
+    try {
+      const name = rest.join(' ') || pending.preview.name;
+      const checklist = await runImport({ ...pending.preview, name }, {
+        actor: userId,
+        groupId: pending.groupId,
+        via: 'bot'
+      });
+      pendingImports.delete(key);
+
+      io.to(groupRoom(pending.groupId)).emit('checklistCreated', publicChecklist(checklist));
+      bot.sendMessage(chatId,
+        `✅ Created "${checklist.name}" with ${pending.preview.plan.matched.length} imported rows`
+      );
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // ATTACHMENTS
+  // ============================================
+
+  // /attach prompts waiting for a file in reply, by chat and prompt message id
+  const attachPrompts = new Map();
+  const ATTACH_REPLY_MINUTES = 30;
+
+  // "<checklist> <item>" where both names may contain spaces: try every split
+  async function findChecklistItem(text, chat) {
+    const words = text.split(/\s+/);
+
+    for (let split = words.length - 1; split >= 1; split--) {
+      const checklist = await findChecklistByName(words.slice(0, split).join(' '), chat);
+      if (!checklist) continue;
+
+      const itemName = words.slice(split).join(' ').toLowerCase();
+      const item = checklist.items.find(i => !i.archivedAt && i.name.toLowerCase() === itemName);
+      if (item) return { checklist, item };
+    }
+
+    return null;
+  }
+
+  // /attach <checklist> <bank> - Ask for a file, stored when it is sent as a reply
+  bot.onText(/^\/attach(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const target = (match[1] || '').trim();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'editor')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    if (!target) {
+      bot.sendMessage(chatId, 'Usage: /attach <checklist> <bank>');
+      return;
+    }
+
+    try {
+      const found = await findChecklistItem(target, msg.chat);
+      if (!found) {
+        bot.sendMessage(chatId, `❌ No checklist and bank matching "${target}"`);
+        return;
+      }
+
+      const { checklist, item } = found;
+      const prompt = await bot.sendMessage(chatId,
+        `📎 Reply to this message with the file for "${item.name}" in "${checklist.name}"`,
+        { reply_to_message_id: msg.message_id, reply_markup: { force_reply: true, selective: true } }
+      );
+
+      attachPrompts.set(`${chatId}:${prompt.message_id}`, {
+        checklistId: checklist.id,
+        itemId: item.id,
+        userId,
+        expiresAt: Date.now() + ATTACH_REPLY_MINUTES * 60 * 1000
+      });
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // A document or photo replying to an /attach prompt
+  bot.on('message', async (msg) => {
+    if (!msg.reply_to_message || !(msg.document || msg.photo)) return;
+
+    const key = `${msg.chat.id}:${msg.reply_to_message.message_id}`;
+    const prompt = attachPrompts.get(key);
+    if (!prompt || String(msg.from.id) !== prompt.userId) return;
+
+    const chatId = msg.chat.id;
+    attachPrompts.delete(key);
+
+    if (prompt.expiresAt < Date.now()) {
+      bot.sendMessage(chatId, '❌ This /attach prompt has expired, send /attach again');
+      return;
+    }
+
+    try {
+      // Editor rights are checked again, they may have changed since the prompt
+      const userData = await storage.getUserByTelegramId(prompt.userId);
+      if (!hasRole(userData, 'editor')) {
+        bot.sendMessage(chatId, '❌ Access denied');
+        return;
+      }
+
+      const checklist = await storage.getChecklist(prompt.checklistId);
+      const item = checklist && !checklist.is_archived && checklist.items.find(i => i.id === prompt.itemId);
+      if (!item) {
+        bot.sendMessage(chatId, '❌ The checklist or bank no longer exists');
+        return;
+      }
+
+      // Photos come in several sizes, the last one is the largest
+      const file = msg.document || msg.photo[msg.photo.length - 1];
+      if (file.file_size > MAX_ATTACHMENT_BYTES) {
+        bot.sendMessage(chatId, `❌ File is too large (max ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB)`);
+        return;
+      }
+
+      const attachment = await saveAttachment({
+        checklist,
+        item,
+        fileName: msg.document ? msg.document.file_name : `photo-${msg.message_id}.jpg`,
+        contentType: msg.document ? msg.document.mime_type : 'image/jpeg',
+        buffer: await downloadFile(file.file_id),
+        uploadedBy: prompt.userId
+      });
+
+      bot.sendMessage(chatId, `✅ Attached ${attachment.file_name} to "${item.name}" in "${checklist.name}"`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // ITEM HISTORY
+  // ============================================
+
+  // /history <checklist> - Recent changes in a checklist
+  bot.onText(/\/history (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const checklistName = match[1].trim();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    try {
+      const checklist = await findChecklistByName(checklistName, msg.chat);
+      if (!checklist) {
+        bot.sendMessage(chatId, `❌ Checklist "${checklistName}" not found`);
+        return;
+      }
+
+      const events = await withActorNames(
+        await storage.listItemEvents({ checklistId: checklist.id, limit: 20 })
+      );
+
+      // Credential values never go to the chat, only the fact they changed
+      const lines = events.map(e => {
+        const time = new Date(e.created_at).toISOString().slice(5, 16).replace('T', ' ');
+        const change = e.field.startsWith('details.')
+          ? `${e.field.slice('details.'.length)} changed`
+          : e.field === 'status'
+            ? `${statusLabel(e.old_value)} → ${statusLabel(e.new_value)}`
+            : `${e.field} ${e.old_value || '—'} → ${e.new_value || '—'}`;
+        return `${time} ${e.item_name}: ${change} (${e.actorName})`;
+      });
+
+      bot.sendMessage(chatId,
+        `🕓 History of "${checklist.name}":\n\n${lines.join('\n') || 'No changes yet'}`
+      );
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // TRASH
+  // ============================================
+
+  // /trash - The chat group's deleted checklists that can still be restored
+  bot.onText(/\/trash/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    try {
+      const trashed = await storage.listChecklists({ groupId: chatGroupId(msg.chat), archived: true });
+      const nameOf = await loadUserNames();
+
+      const lines = trashed.map(c => {
+        const deleted = c.archived_at
+          ? `deleted ${c.archived_at.slice(0, 10)}${c.archived_by ? ` by ${nameOf(c.archived_by)}` : ''}`
+          : 'archived';
+        return `${c.id}. ${c.name} (${deleted})`;
+      });
+
+      bot.sendMessage(chatId,
+        `🗑️ Trash (${trashed.length}):\n\n${lines.join('\n') || 'Empty'}\n\n` +
+        `Checklists are purged after ${TRASH_RETENTION_DAYS} days.\n` +
+        `/restore <id or name> - Restore a checklist`
+      );
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // /restore <id|name> - Bring a checklist back from the trash
+  bot.onText(/\/restore (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const query = match[1].trim();
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'viewer')) {
+      bot.sendMessage(chatId, '❌ Access denied');
+      return;
+    }
+
+    try {
+      // Only the chat's own group, so an id from another group is never restored here
+      const trashed = await storage.listChecklists({ groupId: chatGroupId(msg.chat), archived: true });
+      const checklist = trashed.find(c =>
+        String(c.id) === query || c.name.toLowerCase() === query.toLowerCase()
+      );
+
+      if (!checklist) {
+        bot.sendMessage(chatId, `❌ "${query}" is not in the trash`);
+        return;
+      }
+
+      if (!canDeleteChecklist(userData, checklist)) {
+        bot.sendMessage(chatId, '❌ Only admins or the creator can restore this checklist');
+        return;
+      }
+
+      await storage.updateChecklist(checklist.id, {
+        is_archived: false,
+        archived_at: null,
+        archived_by: null
+      });
+
+      const restored = await storage.getChecklist(checklist.id);
+      io.to(groupRoom(checklist.group_id)).emit('checklistRestored', publicChecklist(restored));
+
+      bot.sendMessage(chatId, `♻️ Restored "${checklist.name}"`);
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+  // ============================================
+  // AUDIT LOG
+  // ============================================
+
+  // /audit [export|import] - Recent exports and imports across all groups (admin, private chat)
+  bot.onText(/^\/audit(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const action = (match[1] || '').toLowerCase() || undefined;
+
+    const userData = await storage.getUserByTelegramId(userId);
+
+    if (!hasRole(userData, 'admin')) {
+      bot.sendMessage(chatId, '❌ Admin only');
+      return;
+    }
+
+    if (msg.chat.type !== 'private') {
+      bot.sendMessage(chatId, '❌ The audit log is only sent in a private chat with the bot');
+      return;
+    }
+
+    try {
+      const events = await withActorNames(await storage.listAuditEvents({ action, limit: 30 }));
+
+      const lines = events.map(e => {
+        const time = new Date(e.created_at).toISOString().slice(5, 16).replace('T', ' ');
+        const d = e.details || {};
+        const what = e.action === 'export'
+          ? `export ${(d.checklistIds || []).length} checklist(s) ${d.format}${d.redacted ? '' : ' ⚠️ full'}`
+          : e.action === 'import'
+            ? `import into checklist ${d.checklistId}, ${d.imported} rows`
+            : e.action;
+        return `${time} ${what} by ${e.actorName} in ${e.group_id || '—'}${d.via ? ` via ${d.via}` : ''}`;
+      });
+
+      let text = `🧾 Audit log${action ? ` (${action})` : ''}:\n\n`;
+      for (const [index, line] of lines.entries()) {
+        if (text.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+          text += `…and ${lines.length - index} more`;
+          break;
+        }
+        text += `${line}\n`;
+      }
+
+      bot.sendMessage(chatId, lines.length ? text.trim() : '📭 No audit events');
+    } catch (err) {
+      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    }
+  });
+
+} else {
+  console.log('⚠️  TELEGRAM_BOT_TOKEN не установлен - бот отключен');
+}
+
+// Webhook endpoint for Telegram (production)
+app.post('/api/telegram-webhook', (req, res) => {
+  if (bot) {
+    bot.processUpdate(req.body);
+  }
+  res.sendStatus(200);
+});
+
+// ============================================
+// TELEGRAM WEB APP VERIFICATION
+// ============================================
+
+// Signed initData older than this is refused, so a leaked one can't be replayed forever
+const INIT_DATA_MAX_AGE_HOURS = parseInt(process.env.INIT_DATA_MAX_AGE_HOURS || '24', 10);
+
+function verifyTelegramData(initData) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) return null;
+
+  try {
+    const data = new URLSearchParams(initData);
+    const hash = data.get('hash') || '';
+    
+    const dataCheckString = Array.from(data.entries())
+      .filter(([key]) => key !== 'hash')
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('\n');
+
+    const secretKey = crypto
+      .createHmac('sha256', 'WebAppData')
+      .update(process.env.TELEGRAM_BOT_TOKEN)
+      .digest();
+
+    const calculatedHash = crypto
+      .createHmac('sha256', secretKey)
+      .update(dataCheckString)
+      .digest();
+
+    const received = Buffer.from(hash, 'hex');
+    if (received.length !== calculatedHash.length || !crypto.timingSafeEqual(received, calculatedHash)) {
+      return null;
     }
-  });
 
-  // ============================================
-  // USER WHITELIST MANAGEMENT (Admin only)
-  // ============================================
+    const authDate = parseInt(data.get('auth_date'), 10);
+    if (!authDate || Date.now() / 1000 - authDate > INIT_DATA_MAX_AGE_HOURS * 60 * 60) {
+      return null;
+    }
 
-  // /adduser @username - Add user to whitelist
-  bot.onText(/\/adduser @?(\w+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const adminId = msg.from.id.toString();
-    const targetUsername = match[1].toLowerCase();
+    return JSON.parse(data.get('user'));
+  } catch (err) {
+    console.error('Verification error:', err);
+  }
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
+  return null;
+}
+
+// Local development without a bot can opt in to trusting unsigned initData
+const ALLOW_UNSIGNED_INIT_DATA = process.env.ALLOW_UNSIGNED_INIT_DATA === 'true';
+
+// Parse initData into a Telegram user: verified when the bot token is set,
+// trusted only with ALLOW_UNSIGNED_INIT_DATA, refused otherwise
+function parseInitDataUser(initData) {
+  if (process.env.TELEGRAM_BOT_TOKEN) {
+    return verifyTelegramData(initData);
+  }
+
+  if (!ALLOW_UNSIGNED_INIT_DATA) return null;
+
+  // Development mode - extract from initData
+  try {
+    const data = new URLSearchParams(initData);
+    return JSON.parse(data.get('user') || '{}');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Group comes from the signed initData (chat the Mini App was opened from), same as the client does
+function parseInitDataGroupId(initData) {
+  try {
+    const chat = JSON.parse(new URLSearchParams(initData).get('chat') || 'null');
+    return chat && chat.id ? chat.id.toString() : DEFAULT_GROUP_ID;
+  } catch (err) {
+    return DEFAULT_GROUP_ID;
+  }
+}
+
+// Verify initData and check the whitelist.
+// Returns { userId, groupId, user, dbUser } or { status, error }
+async function authenticateInitData(initData) {
+  const user = initData ? parseInitDataUser(initData) : null;
+
+  if (!user || !user.id) {
+    return { status: 401, error: 'Invalid user' };
+  }
+
+  const userId = user.id.toString();
+  const dbUser = await storage.findWhitelistedUser({ telegramId: userId, username: user.username });
+
+  if (!dbUser) {
+    return { status: 403, error: 'Access denied. Not in whitelist.' };
+  }
+
+  return { userId, groupId: parseInitDataGroupId(initData), user, dbUser };
+}
+
+// REST middleware: initData comes in the X-Telegram-Init-Data header
+async function requireTelegramAuth(req, res, next) {
+  try {
+    const auth = await authenticateInitData(req.get('X-Telegram-Init-Data'));
+
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
     }
 
-    // Check if sender is admin
-    const { data: adminData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', adminId)
-      .single();
+    req.auth = auth;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
 
-    if (!adminData || !adminData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
+// ============================================
+// REST API ROUTES
+// ============================================
+
+// Verify user and get checklists
+app.post('/api/auth', async (req, res) => {
+  const { initData } = req.body;
+
+  if (!initData) {
+    return res.status(401).json({ error: 'No initData' });
+  }
+
+  try {
+    const auth = await authenticateInitData(initData);
+
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
     }
 
-    // Check if user already exists
-    const { data: existing } = await supabase
-      .from('users')
-      .select('*')
-      .ilike('username', targetUsername)
-      .single();
+    const { userId, dbUser } = auth;
 
-    if (existing) {
-      bot.sendMessage(chatId, `⚠️ User @${targetUsername} already exists`);
-      return;
+    // Update user data
+    await storage.updateUser(dbUser.id, {
+      telegram_id: userId,
+      username: auth.user.username,
+      first_name: auth.user.first_name,
+      last_name: auth.user.last_name,
+      last_active: new Date().toISOString()
+    });
+
+    res.json({
+      userId,
+      isAdmin: getRole(dbUser) === 'admin',
+      role: getRole(dbUser),
+      user: dbUser
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all checklists
+app.get('/api/checklists', requireTelegramAuth, async (req, res) => {
+  try {
+    const checklists = await storage.listChecklists({ groupId: req.auth.groupId });
+
+    res.json(checklists.map(publicChecklist));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Search the group's checklists: GET /api/search?q=<text>
+// Details fields are only searched for editors, who can open them anyway
+app.get('/api/search', requireTelegramAuth, async (req, res) => {
+  const query = String(req.query.q || '').trim();
+
+  if (query.length < MIN_QUERY_LENGTH) {
+    return res.status(400).json({ error: `Search needs at least ${MIN_QUERY_LENGTH} characters` });
+  }
+
+  try {
+    const checklists = await storage.listChecklists({ groupId: req.auth.groupId });
+
+    res.json({
+      query,
+      results: searchChecklists(checklists, query, {
+        fieldsOf: itemFields,
+        withDetails: hasRole(req.auth.dbUser, 'editor')
+      })
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upload an attachment from the Mini App:
+//   POST /api/checklists/:checklistId/items/:itemId/attachments
+// The body is the raw file sent as application/octet-stream (so express.json leaves
+// it alone), with the name and type in X-File-Name (URI-encoded) and X-File-Type
+const readAttachmentBody = express.raw({ type: 'application/octet-stream', limit: MAX_ATTACHMENT_BYTES });
+
+app.post('/api/checklists/:checklistId/items/:itemId/attachments',
+  requireTelegramAuth,
+  (req, res, next) => readAttachmentBody(req, res, (err) => {
+    if (!err) return next();
+    const tooLarge = err.type === 'entity.too.large';
+    res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? `File is too large (max ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB)` : err.message
+    });
+  }),
+  async (req, res) => {
+    const { dbUser, userId, groupId } = req.auth;
+
+    if (!hasRole(dbUser, 'editor')) {
+      return res.status(403).json({ error: 'Not allowed for your role' });
     }
 
-    // Add user with just username (telegram_id will be filled when they /start)
     try {
-      await supabase
-        .from('users')
-        .insert({
-          username: targetUsername,
-          telegram_id: null,
-          is_admin: false,
-          created_at: new Date().toISOString()
-        });
-
-      bot.sendMessage(chatId, `✅ Added @${targetUsername} to whitelist\n\nThey can now use /start to access the bot.`);
+      const checklist = await storage.getChecklist(req.params.checklistId);
+      if (!checklist || String(checklist.group_id) !== groupId || checklist.is_archived) {
+        return res.status(404).json({ error: 'Checklist not found' });
+      }
+
+      const item = checklist.items.find(i => i.id === parseInt(req.params.itemId) && !i.archivedAt);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({ error: 'Send the file as application/octet-stream' });
+      }
+
+      let fileName = req.get('X-File-Name') || 'file';
+      try {
+        fileName = decodeURIComponent(fileName);
+      } catch (err) {
+        // Not URI-encoded, use as is
+      }
+
+      const attachment = await saveAttachment({
+        checklist,
+        item,
+        fileName,
+        contentType: req.get('X-File-Type'),
+        buffer: req.body,
+        uploadedBy: userId
+      });
+
+      res.status(201).json(publicAttachment(attachment, await loadUserNames()));
     } catch (err) {
-      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+      res.status(400).json({ error: err.message });
     }
-  });
+  }
+);
 
-  // /deluser @username - Remove user from whitelist
-  bot.onText(/\/deluser @?(\w+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const adminId = msg.from.id.toString();
-    const targetUsername = match[1].toLowerCase();
+// Download an attachment: anyone who can see the checklist
+app.get('/api/attachments/:id', requireTelegramAuth, async (req, res) => {
+  try {
+    const attachment = await storage.getAttachment(req.params.id);
+    const checklist = attachment && await storage.getChecklist(attachment.checklist_id);
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
+    if (!checklist || String(checklist.group_id) !== req.auth.groupId || checklist.is_archived) {
+      return res.status(404).json({ error: 'Attachment not found' });
     }
 
-    // Check if sender is admin
-    const { data: adminData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', adminId)
-      .single();
+    const contents = await fileStore.get(attachment.storage_key);
+    if (!contents) {
+      return res.status(404).json({ error: 'File is missing from storage' });
+    }
 
-    if (!adminData || !adminData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
+    res.set('Content-Type', attachment.content_type || 'application/octet-stream');
+    res.set('Content-Disposition',
+      `attachment; filename="${attachment.file_name.replace(/[^\x20-\x7e]/g, '_')}"; ` +
+      `filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`
+    );
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(contents);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download checklists as a file:
+//   GET /api/export?checklist=<id|all>&format=csv|json|xlsx&redact=0
+// Details are redacted unless redact=0, which needs FULL_EXPORT_ROLE
+app.get('/api/export', requireTelegramAuth, async (req, res) => {
+  const { dbUser, userId, groupId } = req.auth;
+  const target = String(req.query.checklist || 'all');
+  const format = String(req.query.format || 'csv').toLowerCase();
+  const redact = req.query.redact !== '0' && req.query.redact !== 'false';
+
+  if (!hasRole(dbUser, redact ? 'viewer' : FULL_EXPORT_ROLE)) {
+    return res.status(403).json({ error: redact ? 'Access denied' : 'Editor role required for unredacted export' });
+  }
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format, use ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const inGroup = await storage.listChecklists({ groupId });
+    const checklists = target === 'all' ? inGroup : inGroup.filter(c => String(c.id) === target);
+
+    if (!checklists.length) {
+      return res.status(404).json({ error: 'Checklist not found' });
     }
 
-    try {
-      const { data: deleted } = await supabase
-        .from('users')
-        .delete()
-        .ilike('username', targetUsername)
-        .select();
+    const file = await exportChecklists(checklists, { format, redact, actor: userId, groupId, via: 'api' });
 
-      if (deleted && deleted.length > 0) {
-        bot.sendMessage(chatId, `✅ Removed @${targetUsername} from whitelist`);
-      } else {
-        bot.sendMessage(chatId, `❌ User @${targetUsername} not found`);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.buffer);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================
+// SOCKET.IO EVENTS
+// ============================================
+
+// Every socket must present the same initData as /api/auth in its handshake;
+// the verified user is bound to the socket and never taken from event payloads
+io.use(async (socket, next) => {
+  try {
+    const auth = await authenticateInitData(socket.handshake.auth?.initData);
+
+    if (auth.error) {
+      return next(new Error(auth.error));
+    }
+
+    socket.data.userId = auth.userId;
+    socket.data.groupId = auth.groupId;
+    socket.data.username = auth.user.username;
+    socket.data.user = auth.dbUser;
+    next();
+  } catch (err) {
+    console.error('Socket auth error:', err);
+    next(new Error('Authentication failed'));
+  }
+});
+
+// Mutation events only go to sockets of the checklist's group
+const groupRoom = (groupId) => `group:${groupId}`;
+
+// A mutation the user can't make (role, missing checklist, workflow, bad input...): the
+// message goes back to the client as is, and it isn't logged as a server error
+function rejection(message, extra = {}) {
+  return Object.assign(new Error(message), { rejected: true }, extra);
+}
+
+io.on('connection', (socket) => {
+  const userId = socket.data.userId;
+  const groupId = socket.data.groupId;
+  console.log('User connected:', socket.id, userId);
+
+  // Mutations answer through a Socket.io acknowledgement, so the client knows whether
+  // its change was saved: { ok: true, ...handler result } or { ok: false, error }.
+  // Clients that send no callback get failures as 'error' events
+  function onMutation(event, handler) {
+    socket.on(event, async (data, ack) => {
+      const reply = typeof ack === 'function'
+        ? ack
+        : (result) => result.ok || socket.emit('error', { message: result.error });
+
+      try {
+        reply({ ok: true, ...await handler(data || {}) });
+      } catch (err) {
+        if (!err.rejected) console.error(`${event} error:`, err);
+        reply({ ok: false, error: err.message, conflict: Boolean(err.conflict) });
       }
-    } catch (err) {
-      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+    });
+  }
+
+  // Roles are re-read on every check so /role and /deluser apply to open sessions
+  async function requireRole(minimumRole) {
+    const user = await storage.findWhitelistedUser({ telegramId: userId, username: socket.data.username });
+
+    if (!hasRole(user, minimumRole)) {
+      throw rejection('Not allowed for your role');
     }
-  });
 
-  // /users - List all whitelisted users
-  bot.onText(/\/users/, async (msg) => {
-    const chatId = msg.chat.id;
-    const adminId = msg.from.id.toString();
+    return user;
+  }
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
+  // Load a checklist, rejecting ones from other groups (and trashed ones unless asked for)
+  async function requireGroupChecklist(checklistId, { includeArchived = false } = {}) {
+    const checklist = await storage.getChecklist(checklistId);
+
+    if (!checklist || String(checklist.group_id) !== groupId ||
+        (checklist.is_archived && !includeArchived)) {
+      throw rejection('Checklist not found');
     }
 
-    // Check if sender is admin
-    const { data: adminData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', adminId)
-      .single();
+    return checklist;
+  }
 
-    if (!adminData || !adminData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
+  // The same checks for read events: the reason goes out as 'error', the result is null
+  async function reportRejection(check) {
+    try {
+      return await check();
+    } catch (err) {
+      if (!err.rejected) throw err;
+      socket.emit('error', { message: err.message });
+      return null;
     }
+  }
 
+  const authorize = (minimumRole) => reportRejection(() => requireRole(minimumRole));
+  const getGroupChecklist = (checklistId, options) =>
+    reportRejection(() => requireGroupChecklist(checklistId, options));
+
+  socket.on('init', async () => {
     try {
-      const { data: users } = await supabase
-        .from('users')
-        .select('username, first_name, telegram_id, is_admin')
-        .order('created_at', { ascending: true });
+      socket.join(groupRoom(groupId));
 
-      const userList = (users || [])
-        .map(u => {
-          const name = u.first_name || u.username || 'Unknown';
-          const status = u.telegram_id ? '✅' : '⏳'; // ✅ = activated, ⏳ = pending
-          const admin = u.is_admin ? ' 👑' : '';
-          return `${status} @${u.username || 'no_username'} (${name})${admin}`;
-        })
-        .join('\n');
-      
-      bot.sendMessage(chatId, 
-        `👥 *Whitelist* (${users?.length || 0} users):\n\n${userList || 'Empty'}\n\n` +
-        `✅ = activated, ⏳ = pending /start\n\n` +
-        `Commands:\n` +
-        `/adduser @username - Add user\n` +
-        `/deluser @username - Remove user`,
-        { parse_mode: 'Markdown' }
-      );
+      const checklists = await storage.listChecklists({ groupId });
+
+      socket.emit('init', {
+        checklists: checklists.map(publicChecklist),
+        templates: TEMPLATES.map(templateSummary),
+        statuses: STATUSES
+      });
     } catch (err) {
-      bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+      console.error('Init error:', err);
+      socket.emit('init', { checklists: [], templates: [], statuses: STATUSES });
     }
   });
 
-  // ============================================
-  // BANK TEMPLATE MANAGEMENT (Admin only)
-  // ============================================
+  onMutation('createChecklist', async (data) => {
+    await requireRole('editor');
 
-  // /banks - Show current bank list
-  bot.onText(/\/banks/, async (msg) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
+    const { templateId = DEFAULT_TEMPLATE_ID } = data;
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
+    const name = normalizeChecklistName(data.name);
+    if (!name) {
+      throw rejection(`Checklist name must be 1-${MAX_CHECKLIST_NAME_LENGTH} characters`);
     }
 
-    const { data: userData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
+    const template = findTemplate(templateId);
+    if (!template) {
+      throw rejection(`Template "${templateId}" not found`);
+    }
 
-    if (!userData || !userData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
+    const items = template.items.map(item => newChecklistItem(template, item, userId));
+
+    const checklist = await storage.createChecklist({
+      name,
+      created_by: userId,
+      group_id: groupId,
+      template_id: template.id,
+      items,
+      is_archived: false,
+      created_at: new Date().toISOString()
+    });
+
+    io.to(groupRoom(groupId)).emit('checklistCreated', publicChecklist(checklist));
+    console.log('Checklist created:', checklist.id);
+
+    return { checklistId: checklist.id };
+  });
+
+  // Bulk import from the admin screen: previewImport is the dry run, runImport
+  // sends the same file again and creates the checklist
+  socket.on('previewImport', async (data) => {
+    try {
+      if (!await authorize('admin')) return;
+
+      socket.emit('importPreview', publicImportPreview(previewImport(data)));
+    } catch (err) {
+      socket.emit('error', { message: err.message });
+    }
+  });
+
+  onMutation('runImport', async (data) => {
+    await requireRole('admin');
+
+    const preview = previewImport(data);
+    const checklist = await runImport(preview, { actor: userId, groupId, via: 'app' });
+
+    io.to(groupRoom(groupId)).emit('checklistCreated', publicChecklist(checklist));
+
+    return {
+      checklistId: checklist.id,
+      name: checklist.name,
+      imported: preview.plan.matched.length
+    };
+  });
+
+  async function recordItemHistory(checklistId, itemId, before, after) {
+    try {
+      await storage.appendItemEvents(diffItemChanges(before, after).map(change => ({
+        checklist_id: checklistId,
+        item_id: itemId,
+        item_name: after.name,
+        field: change.field,
+        old_value: change.oldValue,
+        new_value: change.newValue,
+        actor: userId,
+        created_at: after.lastModified
+      })));
+    } catch (err) {
+      // The item is already saved, a lost history entry must not undo that
+      console.error('History write error:', err);
     }
+  }
+
+  // Read-modify-write of a single item under its version lock.
+  // When another write lands in between, re-read and apply mutate() again;
+  // after MAX_WRITE_ATTEMPTS the mutation fails as a conflict and nothing is saved.
+  // Resolves to the saved item, or null when mutate() left it unchanged
+  async function updateGroupItem(checklistId, itemId, mutate) {
+    await requireRole('editor');
+
+    const checklist = await requireGroupChecklist(checklistId);
+
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const item = await storage.getItem(checklist.id, parseInt(itemId));
+      if (!item || item.archivedAt) {
+        throw rejection('Item not found');
+      }
 
-    const bankList = BANK_TEMPLATE
-      .map(b => `${b.id}. ${b.name}`)
-      .join('\n');
+      const { id, version, ...fields } = item;
+      const before = JSON.parse(JSON.stringify(fields));
 
-    bot.sendMessage(chatId, 
-      `🏦 *Bank Template* (${BANK_TEMPLATE.length} items):\n\n${bankList}\n\n` +
-      `Commands:\n` +
-      `/addbank Name - Add new bank\n` +
-      `/delbank 5 - Delete bank by ID\n` +
-      `/renamebank 5 New Name - Rename bank\n` +
-      `/syncbanks - Apply to all checklists`,
-      { parse_mode: 'Markdown' }
-    );
-  });
+      // mutate returns false to leave the item as it is
+      if (mutate(fields) === false) return null;
+      fields.lastModified = new Date().toISOString();
+      fields.modifiedBy = userId;
 
-  // /addbank <name> - Add new bank
-  bot.onText(/\/addbank (.+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const bankName = match[1].trim();
+      const saved = await storage.updateItem(checklist.id, id, fields, { expectedVersion: version || 0 });
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
+      if (saved) {
+        await storage.updateChecklist(checklist.id, { updated_at: fields.lastModified });
+        await recordItemHistory(checklist.id, id, before, fields);
+        return { ...fields, id, version: (version || 0) + 1 };
+      }
     }
 
-    const { data: userData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
+    throw rejection('Checklist was changed by someone else, please try again', { conflict: true });
+  }
 
-    if (!userData || !userData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
+  onMutation('updateItemStatus', async (data) => {
+    const { checklistId, itemId, status } = data;
+
+    if (status !== undefined && !findStatus(STATUSES, status)) {
+      throw rejection(`Unknown status "${status}"`);
     }
 
-    // Get next ID
-    const maxId = Math.max(...BANK_TEMPLATE.map(b => b.id), 0);
-    const newBank = {
-      id: maxId + 1,
-      name: bankName,
-      status: 'NOT_STARTED',
-      emoji: '⬜'
-    };
+    let previousStatus;
 
-    BANK_TEMPLATE.push(newBank);
-    
-    if (await saveBankTemplate()) {
-      bot.sendMessage(chatId, `✅ Added: ${newBank.id}. ${bankName}\n\nUse /syncbanks to apply to existing checklists`);
-    } else {
-      bot.sendMessage(chatId, '❌ Error saving');
-    }
-  });
+    const item = await updateGroupItem(checklistId, itemId, (item) => {
+      previousStatus = item.status;
 
-  // /delbank <id> - Delete bank by ID
-  bot.onText(/\/delbank (\d+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const bankId = parseInt(match[1]);
+      // Without a target (older clients) step to the next status the workflow allows
+      const currentIndex = STATUSES.findIndex(s => s.id === item.status);
+      const allowed = allowedTransitions(STATUSES, item.status);
+      const target = status !== undefined
+        ? findStatus(STATUSES, status)
+        : allowed.find(s => STATUSES.indexOf(s) > currentIndex) || allowed[0];
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
-    }
+      if (!target || target.id === item.status) return false;
 
-    const { data: userData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
+      if (!canTransition(STATUSES, item.status, target.id)) {
+        throw rejection(`Can't move from ${statusLabel(item.status)} to ${statusLabel(target.id)}`);
+      }
 
-    if (!userData || !userData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
-    }
+      item.status = target.id;
+      item.emoji = target.emoji;
+      item.statusChangedAt = new Date().toISOString();
+    });
+    if (!item) return {};
+
+    io.to(groupRoom(groupId)).emit('itemUpdated', {
+      checklistId,
+      itemId,
+      status: item.status,
+      emoji: item.emoji,
+      modifiedBy: userId,
+      lastModified: item.lastModified
+    });
 
-    const bank = BANK_TEMPLATE.find(b => b.id === bankId);
-    if (!bank) {
-      bot.sendMessage(chatId, `❌ Bank with ID ${bankId} not found`);
-      return;
-    }
+    queueStatusNotification({
+      checklistId,
+      itemId: item.id,
+      itemName: item.name,
+      from: previousStatus,
+      to: item.status,
+      actorId: userId
+    });
 
-    BANK_TEMPLATE = BANK_TEMPLATE.filter(b => b.id !== bankId);
-    
-    if (await saveBankTemplate()) {
-      bot.sendMessage(chatId, `✅ Deleted: ${bank.name}\n\nUse /syncbanks to apply to existing checklists`);
-    } else {
-      bot.sendMessage(chatId, '❌ Error saving');
-    }
+    return { status: item.status, emoji: item.emoji };
   });
 
-  // /renamebank <id> <new name> - Rename bank
-  bot.onText(/\/renamebank (\d+) (.+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const bankId = parseInt(match[1]);
-    const newName = match[2].trim();
-
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
-    }
+  onMutation('updateItemDetails', async (data) => {
+    const { checklistId, itemId } = data;
 
-    const { data: userData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
+    const checklist = await requireGroupChecklist(checklistId);
 
-    if (!userData || !userData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
+    // Only fields of the item's schema, with values of the right type
+    const { details, errors } = validateDetails(itemFields(checklist, parseInt(itemId)), data.details);
+    if (errors.length) {
+      throw rejection(errors.join('; '));
     }
 
-    const bank = BANK_TEMPLATE.find(b => b.id === bankId);
-    if (!bank) {
-      bot.sendMessage(chatId, `❌ Bank with ID ${bankId} not found`);
-      return;
-    }
+    const item = await updateGroupItem(checklistId, itemId, (item) => {
+      item.details = { ...item.details };
+      const context = { checklistId: checklist.id, itemId: parseInt(itemId) };
+      for (const [field, value] of Object.entries(details)) {
+        // Unchanged values keep their ciphertext, so history only sees real edits
+        if (decryptValue(item.details[field] ?? '', field, context) !== String(value)) {
+          item.details[field] = encryptValue(String(value), field, context);
+        }
+      }
+    });
+    if (!item) return {};
+
+    io.to(groupRoom(groupId)).emit('detailsUpdated', {
+      checklistId,
+      itemId,
+      filledFields: filledFields(item.details),
+      modifiedBy: userId,
+      lastModified: item.lastModified
+    });
 
-    const oldName = bank.name;
-    bank.name = newName;
-    
-    if (await saveBankTemplate()) {
-      bot.sendMessage(chatId, `✅ Renamed: "${oldName}" → "${newName}"\n\nUse /syncbanks to apply to existing checklists`);
-    } else {
-      bot.sendMessage(chatId, '❌ Error saving');
-    }
+    return { filledFields: filledFields(item.details) };
   });
 
-  // /syncbanks - Apply template to all existing checklists
-  bot.onText(/\/syncbanks/, async (msg) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
+  // Due date (YYYY-MM-DD or null) and owner (telegram id of a whitelisted user or null)
+  onMutation('updateItemPlanning', async (data) => {
+    const { checklistId, itemId } = data;
+    const dueDate = data.dueDate || null;
+    const owner = data.owner ? String(data.owner) : null;
 
-    if (!supabase) {
-      bot.sendMessage(chatId, '❌ Database not connected');
-      return;
+    if (dueDate && (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate) || isNaN(Date.parse(dueDate)))) {
+      throw rejection('Due date must be a date');
     }
 
-    const { data: userData } = await supabase
-      .from('users')
-      .select('is_admin')
-      .eq('telegram_id', userId)
-      .single();
-
-    if (!userData || !userData.is_admin) {
-      bot.sendMessage(chatId, '❌ Admin only');
-      return;
+    if (owner && !await storage.getUserByTelegramId(owner)) {
+      throw rejection('Owner must be a member of the whitelist');
     }
 
-    bot.sendMessage(chatId, '⏳ Syncing...');
+    let previousOwner = null;
+    const item = await updateGroupItem(checklistId, itemId, (item) => {
+      if ((item.dueDate || null) === dueDate && (item.owner || null) === owner) return false;
+      previousOwner = item.owner || null;
+      item.dueDate = dueDate;
+      item.owner = owner;
+    });
+    if (!item) return {};
+
+    io.to(groupRoom(groupId)).emit('itemPlanningUpdated', {
+      checklistId,
+      itemId,
+      dueDate: item.dueDate,
+      owner: item.owner,
+      modifiedBy: userId,
+      lastModified: item.lastModified
+    });
 
-    const result = await syncBankTemplateToChecklists();
-    
-    if (result.success) {
-      // Notify all connected clients to refresh
-      io.emit('templateUpdated', { template: BANK_TEMPLATE });
-      bot.sendMessage(chatId, `✅ Done! Updated ${result.updated} checklists.\n\nUsers will see changes after refresh.`);
-    } else {
-      bot.sendMessage(chatId, `❌ Error: ${result.error || 'Unknown error'}`);
+    if (owner && owner !== previousOwner) {
+      const checklist = await storage.getChecklist(checklistId);
+      const due = item.dueDate ? `, due ${item.dueDate}` : '';
+      notifyAssignee(owner, userId, `👤 You were assigned "${item.name}" in "${checklist.name}"${due}`);
     }
+
+    return { dueDate: item.dueDate, owner: item.owner };
   });
 
-} else {
-  console.log('⚠️  TELEGRAM_BOT_TOKEN не установлен - бот отключен');
-}
+  // Assignee of a whole checklist (telegram id of a whitelisted user or null)
+  onMutation('assignChecklist', async (data) => {
+    await requireRole('editor');
 
-// Webhook endpoint for Telegram (production)
-app.post('/api/telegram-webhook', (req, res) => {
-  if (bot) {
-    bot.processUpdate(req.body);
-  }
-  res.sendStatus(200);
-});
+    const { checklistId } = data;
+    const assignee = data.assignee ? String(data.assignee) : null;
 
-// ============================================
-// TELEGRAM WEB APP VERIFICATION
-// ============================================
+    const checklist = await requireGroupChecklist(checklistId);
 
-function verifyTelegramData(initData) {
-  if (!process.env.TELEGRAM_BOT_TOKEN) return null;
+    if (assignee && !await storage.getUserByTelegramId(assignee)) {
+      throw rejection('Assignee must be a member of the whitelist');
+    }
 
-  try {
-    const data = new URLSearchParams(initData);
-    const hash = data.get('hash');
-    
-    const dataCheckString = Array.from(data.entries())
-      .filter(([key]) => key !== 'hash')
-      .sort(([a], [b]) => a.localeCompare(b))
-      .map(([key, value]) => `${key}=${value}`)
-      .join('\n');
+    if ((checklist.assignee || null) === assignee) return { assignee };
 
-    const secretKey = crypto
-      .createHmac('sha256', 'WebAppData')
-      .update(process.env.TELEGRAM_BOT_TOKEN)
-      .digest();
+    await storage.updateChecklist(checklist.id, { assignee });
 
-    const calculatedHash = crypto
-      .createHmac('sha256', secretKey)
-      .update(dataCheckString)
-      .digest('hex');
+    io.to(groupRoom(groupId)).emit('checklistAssigned', { checklistId: checklist.id, assignee });
 
-    if (calculatedHash === hash) {
-      const userData = JSON.parse(data.get('user'));
-      return userData;
+    if (assignee) {
+      const open = assignedTasks([{ ...checklist, assignee }], assignee).length;
+      notifyAssignee(assignee, userId, `📋 You were assigned the checklist "${checklist.name}" (${open} open items)`);
     }
-  } catch (err) {
-    console.error('Verification error:', err);
-  }
-
-  return null;
-}
-
-// ============================================
-// REST API ROUTES
-// ============================================
-
-// Verify user and get checklists
-app.post('/api/auth', async (req, res) => {
-  const { initData } = req.body;
 
-  if (!initData) {
-    return res.status(401).json({ error: 'No initData' });
-  }
+    return { assignee };
+  });
 
-  let user = null;
-  
-  // Try to verify Telegram data
-  if (process.env.TELEGRAM_BOT_TOKEN) {
-    user = verifyTelegramData(initData);
-  } else {
-    // Development mode - extract from initData
-    const data = new URLSearchParams(initData);
-    user = JSON.parse(data.get('user') || '{}');
-  }
+  // Open items assigned to this user in the group's checklists
+  socket.on('getMyTasks', async () => {
+    try {
+      if (!await authorize('viewer')) return;
+
+      const checklists = await storage.listChecklists({ groupId });
+
+      socket.emit('myTasks', {
+        tasks: assignedTasks(checklists, userId).map(({ checklist, item, via }) => ({
+          checklistId: checklist.id,
+          checklistName: checklist.name,
+          itemId: item.id,
+          name: item.name,
+          status: item.status,
+          emoji: item.emoji,
+          dueDate: item.dueDate || null,
+          via
+        }))
+      });
+    } catch (err) {
+      console.error('My tasks error:', err);
+      socket.emit('error', { message: 'Could not load your tasks' });
+    }
+  });
 
-  if (!user || !user.id) {
-    return res.status(401).json({ error: 'Invalid user' });
-  }
+  // Whitelisted users who opened the bot, for owner pickers and names
+  socket.on('getMembers', async () => {
+    try {
+      if (!await authorize('viewer')) return;
 
-  try {
-    const userId = user.id.toString();
+      const users = await storage.listUsers();
 
-    if (!supabase) {
-      return res.status(500).json({ error: 'Database not connected' });
+      socket.emit('members', {
+        members: users
+          .filter(u => u.telegram_id)
+          .map(u => ({ telegramId: String(u.telegram_id), name: displayName(u) }))
+      });
+    } catch (err) {
+      console.error('Members error:', err);
     }
-    
-    // Check if user exists in whitelist
-    const { data: dbUser } = await supabase
-      .from('users')
-      .select('*')
-      .or(`telegram_id.eq.${userId},username.ilike.${user.username || 'NONE'}`)
-      .single();
+  });
 
-    if (!dbUser) {
-      return res.status(403).json({ error: 'Access denied. Not in whitelist.' });
-    }
+  onMutation('updateItemEmoji', async (data) => {
+    const { checklistId, itemId, emoji } = data;
 
-    // Update user data
-    await supabase
-      .from('users')
-      .update({
-        telegram_id: userId,
-        username: user.username,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        last_active: new Date().toISOString()
-      })
-      .eq('id', dbUser.id);
+    if (!isEmoji(emoji)) {
+      throw rejection('Emoji must be a single emoji');
+    }
 
-    res.json({
-      userId,
-      isAdmin: dbUser?.is_admin || false,
-      user: dbUser
+    const item = await updateGroupItem(checklistId, itemId, (item) => {
+      item.emoji = emoji;
+    });
+    if (!item) return {};
+
+    io.to(groupRoom(groupId)).emit('emojiUpdated', {
+      checklistId,
+      itemId,
+      emoji,
+      modifiedBy: userId,
+      lastModified: item.lastModified
     });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
 
-// Get all checklists
-app.get('/api/checklists', async (req, res) => {
-  if (!supabase) {
-    return res.status(500).json({ error: 'Database not connected' });
-  }
+    return { emoji };
+  });
 
-  try {
-    const groupId = req.query.groupId || 'default-group';
-    
-    const { data: checklists, error } = await supabase
-      .from('checklists')
-      .select('*')
-      .eq('group_id', groupId)
-      .eq('is_archived', false)
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
-
-    // Parse items JSON for each checklist
-    const parsedChecklists = (checklists || []).map(cl => ({
-      ...cl,
-      items: typeof cl.items === 'string' ? JSON.parse(cl.items) : cl.items
-    }));
-
-    res.json(parsedChecklists);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  // Decrypted credentials for the details modal, only to the requesting socket (viewers get none)
+  socket.on('getItemDetails', async (data) => {
+    try {
+      if (!await authorize('editor')) return;
 
-// ============================================
-// SOCKET.IO EVENTS
-// ============================================
+      const { checklistId, itemId } = data;
 
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+      const checklist = await getGroupChecklist(checklistId);
+      if (!checklist) return;
 
-  socket.on('init', async (data) => {
-    if (!supabase) {
-      socket.emit('init', { checklists: [] });
-      return;
-    }
+      const item = checklist.items.find(i => i.id === parseInt(itemId));
+      if (!item) return;
 
-    try {
-      const groupId = data.groupId || 'default-group';
-      
-      const { data: checklists, error } = await supabase
-        .from('checklists')
-        .select('*')
-        .eq('group_id', groupId)
-        .eq('is_archived', false)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-
-      // Parse items JSON for each checklist
-      const parsedChecklists = (checklists || []).map(cl => ({
-        ...cl,
-        items: typeof cl.items === 'string' ? JSON.parse(cl.items) : cl.items
-      }));
-
-      socket.emit('init', { checklists: parsedChecklists });
+      socket.emit('itemDetails', {
+        checklistId,
+        itemId,
+        details: decryptDetails(item.details, { checklistId: checklist.id, itemId: item.id })
+      });
     } catch (err) {
-      console.error('Init error:', err);
-      socket.emit('init', { checklists: [] });
+      console.error('Details error:', err);
+      socket.emit('error', { message: 'Could not load details' });
     }
   });
 
-  socket.on('createChecklist', async (data) => {
-    if (!supabase) {
-      socket.emit('error', { message: 'Database not connected' });
-      return;
-    }
-
+  socket.on('getItemHistory', async (data) => {
     try {
-      const { name, userId, groupId } = data;
-      
-      const items = BANK_TEMPLATE.map(item => ({
-        ...item,
-        details: {
-          login: '',
-          password: '',
-          phone: '',
-          email: ''
-        },
-        lastModified: new Date().toISOString(),
-        modifiedBy: userId
-      }));
-
-      const { data: checklist, error } = await supabase
-        .from('checklists')
-        .insert({
-          name,
-          created_by: userId,
-          group_id: groupId || 'default-group',
-          items: JSON.stringify(items),
-          is_archived: false,
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+      const user = await authorize('viewer');
+      if (!user) return;
 
-      if (error) throw error;
+      const { checklistId, itemId } = data;
 
-      const parsedChecklist = {
-        ...checklist,
-        items: JSON.parse(checklist.items)
-      };
+      const checklist = await getGroupChecklist(checklistId);
+      if (!checklist) return;
+
+      const events = await storage.listItemEvents({
+        checklistId: checklist.id,
+        itemId: parseInt(itemId),
+        limit: 100
+      });
+
+      // Credential changes are stored encrypted like the item itself;
+      // viewers only learn that a field changed
+      const canSeeCredentials = hasRole(user, 'editor');
+      const decrypted = events.map(event => {
+        if (!event.field.startsWith('details.')) return event;
+        if (!canSeeCredentials) return { ...event, old_value: '•••', new_value: '•••' };
+        const field = event.field.slice('details.'.length);
+        const context = { checklistId: event.checklist_id, itemId: event.item_id };
+        return {
+          ...event,
+          old_value: decryptValue(event.old_value, field, context),
+          new_value: decryptValue(event.new_value, field, context)
+        };
+      });
 
-      io.emit('checklistCreated', parsedChecklist);
-      console.log('Checklist created:', checklist.id);
+      socket.emit('itemHistory', {
+        checklistId,
+        itemId,
+        events: await withActorNames(decrypted)
+      });
     } catch (err) {
-      console.error('Create checklist error:', err);
-      socket.emit('error', { message: err.message });
+      console.error('History error:', err);
+      socket.emit('error', { message: 'Could not load history' });
     }
   });
 
-  socket.on('updateItemStatus', async (data) => {
-    if (!supabase) return;
-
+  socket.on('getItemAttachments', async (data) => {
     try {
-      const { checklistId, itemId, userId } = data;
-      
-      const { data: checklist, error: fetchError } = await supabase
-        .from('checklists')
-        .select('*')
-        .eq('id', checklistId)
-        .single();
-
-      if (fetchError || !checklist) return;
+      if (!await authorize('viewer')) return;
 
-      const items = typeof checklist.items === 'string' 
-        ? JSON.parse(checklist.items) 
-        : checklist.items;
+      const { checklistId, itemId } = data;
 
-      const item = items.find(i => i.id === parseInt(itemId));
-      if (!item) return;
-
-      const currentIndex = statusCycle.indexOf(item.status);
-      const nextIndex = (currentIndex + 1) % statusCycle.length;
-      item.status = statusCycle[nextIndex];
-      item.emoji = statusEmoji[item.status];
-      item.lastModified = new Date().toISOString();
-      item.modifiedBy = userId;
-
-      const { error: updateError } = await supabase
-        .from('checklists')
-        .update({
-          items: JSON.stringify(items),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', checklistId);
+      const checklist = await getGroupChecklist(checklistId);
+      if (!checklist) return;
 
-      if (updateError) throw updateError;
+      const attachments = await storage.listItemAttachments({ checklistId: checklist.id, itemId: parseInt(itemId) });
+      const nameOf = await loadUserNames();
 
-      io.emit('itemUpdated', {
+      socket.emit('itemAttachments', {
         checklistId,
         itemId,
-        status: item.status,
-        emoji: item.emoji,
-        modifiedBy: userId,
-        lastModified: item.lastModified
+        attachments: attachments.map(attachment => publicAttachment(attachment, nameOf))
       });
     } catch (err) {
-      console.error('Update status error:', err);
+      console.error('Attachments error:', err);
+      socket.emit('error', { message: 'Could not load attachments' });
     }
   });
 
-  socket.on('updateItemDetails', async (data) => {
-    if (!supabase) return;
+  // Whoever uploaded a file, or an admin, may delete it
+  onMutation('deleteAttachment', async (data) => {
+    const user = await requireRole('editor');
 
-    try {
-      const { checklistId, itemId, details, userId } = data;
-      
-      const { data: checklist, error: fetchError } = await supabase
-        .from('checklists')
-        .select('*')
-        .eq('id', checklistId)
-        .single();
+    const attachment = await storage.getAttachment(data.attachmentId);
+    if (!attachment) {
+      throw rejection('File not found');
+    }
 
-      if (fetchError || !checklist) return;
+    const checklist = await requireGroupChecklist(attachment.checklist_id);
 
-      const items = typeof checklist.items === 'string' 
-        ? JSON.parse(checklist.items) 
-        : checklist.items;
+    if (getRole(user) !== 'admin' && String(attachment.uploaded_by) !== userId) {
+      throw rejection('Only the uploader or an admin can delete this file');
+    }
 
-      const item = items.find(i => i.id === parseInt(itemId));
-      if (!item) return;
+    await storage.deleteItemAttachment(attachment.id);
+    await fileStore.remove(attachment.storage_key);
 
-      item.details = { ...item.details, ...details };
-      item.lastModified = new Date().toISOString();
-      item.modifiedBy = userId;
+    io.to(groupRoom(groupId)).emit('attachmentDeleted', {
+      checklistId: checklist.id,
+      itemId: attachment.item_id,
+      attachmentId: attachment.id
+    });
 
-      const { error: updateError } = await supabase
-        .from('checklists')
-        .update({
-          items: JSON.stringify(items),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', checklistId);
+    return { attachmentId: attachment.id };
+  });
+
+  // Comment thread of an item, oldest first
+  socket.on('getItemComments', async (data) => {
+    try {
+      if (!await authorize('viewer')) return;
+
+      const { checklistId, itemId } = data;
 
-      if (updateError) throw updateError;
+      const checklist = await getGroupChecklist(checklistId);
+      if (!checklist) return;
 
-      io.emit('detailsUpdated', {
+      const comments = await storage.listItemComments({ checklistId: checklist.id, itemId: parseInt(itemId) });
+      const nameOf = await loadUserNames();
+
+      socket.emit('itemComments', {
         checklistId,
         itemId,
-        details: item.details,
-        modifiedBy: userId,
-        lastModified: item.lastModified
+        comments: comments.map(comment => publicComment(comment, nameOf))
       });
     } catch (err) {
-      console.error('Update details error:', err);
+      console.error('Comments error:', err);
+      socket.emit('error', { message: 'Could not load comments' });
     }
   });
 
-  socket.on('updateItemEmoji', async (data) => {
-    if (!supabase) return;
+  // New comment: broadcast to the group, @mentioned users get a bot message
+  onMutation('addItemComment', async (data) => {
+    await requireRole('editor');
 
+    const { checklistId, itemId } = data;
+    let body;
     try {
-      const { checklistId, itemId, emoji, userId } = data;
-      
-      const { data: checklist, error: fetchError } = await supabase
-        .from('checklists')
-        .select('*')
-        .eq('id', checklistId)
-        .single();
+      body = normalizeComment(data.body);
+    } catch (err) {
+      throw rejection(err.message);
+    }
 
-      if (fetchError || !checklist) return;
+    const checklist = await requireGroupChecklist(checklistId);
 
-      const items = typeof checklist.items === 'string' 
-        ? JSON.parse(checklist.items) 
-        : checklist.items;
+    const item = checklist.items.find(i => i.id === parseInt(itemId));
+    if (!item) {
+      throw rejection('Item not found');
+    }
 
-      const item = items.find(i => i.id === parseInt(itemId));
-      if (!item) return;
+    const users = await storage.listUsers();
+    const mentioned = findMentions(body, users).filter(u => String(u.telegram_id) !== userId);
 
-      item.emoji = emoji;
-      item.lastModified = new Date().toISOString();
-      item.modifiedBy = userId;
-
-      const { error: updateError } = await supabase
-        .from('checklists')
-        .update({
-          items: JSON.stringify(items),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', checklistId);
+    const comment = await storage.addItemComment({
+      checklist_id: checklist.id,
+      item_id: item.id,
+      author: userId,
+      body,
+      mentions: mentioned.map(u => String(u.telegram_id))
+    });
+
+    const nameOf = await loadUserNames();
+    io.to(groupRoom(groupId)).emit('itemCommentAdded', {
+      checklistId,
+      itemId,
+      comment: publicComment(comment, nameOf)
+    });
 
-      if (updateError) throw updateError;
+    notifyMentions(mentioned, `💬 ${nameOf(userId)} mentioned you on "${item.name}" in "${checklist.name}":\n\n${body}`);
 
-      io.emit('emojiUpdated', {
-        checklistId,
-        itemId,
-        emoji,
-        modifiedBy: userId,
-        lastModified: item.lastModified
+    return { commentId: comment.id };
+  });
+
+  onMutation('deleteChecklist', async (data) => {
+    const user = await requireRole('viewer');
+
+    const { checklistId, confirmName } = data;
+
+    const checklist = await requireGroupChecklist(checklistId);
+
+    if (!canDeleteChecklist(user, checklist)) {
+      throw rejection('Only admins or the creator can delete this checklist');
+    }
+
+    // The client makes the user type the name, a stray tap can't delete
+    if (String(confirmName || '').trim().toLowerCase() !== checklist.name.trim().toLowerCase()) {
+      throw rejection('Checklist name does not match');
+    }
+
+    // Move to trash, purgeTrash() deletes it after TRASH_RETENTION_DAYS
+    await storage.updateChecklist(checklist.id, {
+      is_archived: true,
+      archived_at: new Date().toISOString(),
+      archived_by: userId
+    });
+
+    io.to(groupRoom(groupId)).emit('checklistDeleted', { checklistId });
+    console.log('Checklist moved to trash:', checklistId);
+
+    return { checklistId };
+  });
+
+  socket.on('getTrash', async () => {
+    try {
+      if (!await authorize('viewer')) return;
+
+      const trashed = await storage.listChecklists({ groupId, archived: true });
+      const nameOf = await loadUserNames();
+
+      socket.emit('trash', {
+        retentionDays: TRASH_RETENTION_DAYS,
+        checklists: trashed.map(c => ({
+          id: c.id,
+          name: c.name,
+          created_by: c.created_by,
+          archived_at: c.archived_at,
+          archivedByName: c.archived_by ? nameOf(c.archived_by) : null
+        }))
       });
     } catch (err) {
-      console.error('Update emoji error:', err);
+      console.error('Trash error:', err);
+      socket.emit('error', { message: 'Could not load trash' });
     }
   });
 
-  socket.on('deleteChecklist', async (data) => {
-    if (!supabase) return;
+  onMutation('restoreChecklist', async (data) => {
+    const user = await requireRole('viewer');
 
-    try {
-      const { checklistId } = data;
-      
-      // Actually delete from database instead of archiving
-      const { error } = await supabase
-        .from('checklists')
-        .delete()
-        .eq('id', checklistId);
+    const { checklistId } = data;
 
-      if (error) throw error;
+    const checklist = await requireGroupChecklist(checklistId, { includeArchived: true });
 
-      io.emit('checklistDeleted', { checklistId });
-      console.log('Checklist deleted:', checklistId);
-    } catch (err) {
-      console.error('Delete error:', err);
+    if (!checklist.is_archived) {
+      throw rejection('Checklist is not in the trash');
+    }
+
+    // Same rule as deleting
+    if (!canDeleteChecklist(user, checklist)) {
+      throw rejection('Only admins or the creator can restore this checklist');
     }
+
+    await storage.updateChecklist(checklist.id, {
+      is_archived: false,
+      archived_at: null,
+      archived_by: null
+    });
+
+    const restored = await storage.getChecklist(checklist.id);
+    io.to(groupRoom(groupId)).emit('checklistRestored', publicChecklist(restored));
+    console.log('Checklist restored:', checklistId);
+
+    return { checklistId };
   });
 
   socket.on('disconnect', () => {
@@ -1281,7 +3868,9 @@ io.on('connection', (socket) => {
 // ============================================
 
 const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📱 Open: http://localhost:${PORT}`);
+storageReady.then(() => {
+  server.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📱 Open: http://localhost:${PORT}`);
+  });
 });
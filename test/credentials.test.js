@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const KEY_A = Buffer.alloc(32, 1).toString('base64');
+const KEY_B = Buffer.alloc(32, 2).toString('base64');
+const ITEM = { checklistId: 7, itemId: 3 };
+
+// Keys are read when the module loads, so each key setup gets a fresh copy
+function loadCredentials(env) {
+  const names = ['CREDENTIALS_KEYS', 'CREDENTIALS_KEY', 'ALLOW_PLAINTEXT_CREDENTIALS'];
+  const saved = names.map(name => [name, process.env[name]]);
+  names.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+
+  const modulePath = require.resolve('../lib/credentials');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    for (const [name, value] of saved) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test('values round-trip and are encrypted with the active key', () => {
+  const credentials = loadCredentials({ CREDENTIALS_KEYS: `a:${KEY_A}` });
+
+  const first = credentials.encryptValue('hunter2', 'password', ITEM);
+  const second = credentials.encryptValue('hunter2', 'password', ITEM);
+
+  assert.match(first, /^enc:v2:a:/);
+  assert.notStrictEqual(first, second);
+  assert.strictEqual(credentials.decryptValue(first, 'password', ITEM), 'hunter2');
+  assert.strictEqual(credentials.needsEncryption(first), false);
+});
+
+test('empty values and plaintext pass through', () => {
+  const credentials = loadCredentials({ CREDENTIALS_KEYS: `a:${KEY_A}` });
+
+  assert.strictEqual(credentials.encryptValue('', 'password', ITEM), '');
+  assert.strictEqual(credentials.decryptValue('legacy', 'password', ITEM), 'legacy');
+  assert.strictEqual(credentials.needsEncryption('legacy'), true);
+});
+
+test('a value only decrypts for its own field, item and checklist', () => {
+  const credentials = loadCredentials({ CREDENTIALS_KEYS: `a:${KEY_A}` });
+  const stored = credentials.encryptValue('hunter2', 'password', ITEM);
+
+  assert.throws(() => credentials.decryptValue(stored, 'login', ITEM));
+  assert.throws(() => credentials.decryptValue(stored, 'password', { ...ITEM, itemId: 4 }));
+  assert.throws(() => credentials.decryptValue(stored, 'password', { ...ITEM, checklistId: 8 }));
+  assert.strictEqual(credentials.decryptValue(stored, 'password', { checklistId: '7', itemId: '3' }), 'hunter2');
+});
+
+test('enc:v1 values still decrypt and are re-encrypted bound to their item', () => {
+  const credentials = loadCredentials({ CREDENTIALS_KEYS: `a:${KEY_A}` });
+
+  // The v1 format bound only the field name
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(KEY_A, 'base64'), iv);
+  cipher.setAAD(Buffer.from('password'));
+  const ciphertext = Buffer.concat([cipher.update('hunter2', 'utf8'), cipher.final()]);
+  const legacy = `enc:v1:a:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+
+  assert.strictEqual(credentials.decryptValue(legacy, 'password', ITEM), 'hunter2');
+  assert.strictEqual(credentials.needsEncryption(legacy), true);
+
+  const upgraded = credentials.reencryptValue(legacy, 'password', ITEM);
+  assert.match(upgraded, /^enc:v2:a:/);
+  assert.strictEqual(credentials.decryptValue(upgraded, 'password', ITEM), 'hunter2');
+});
+
+test('key rotation re-encrypts old values with the new key', () => {
+  const before = loadCredentials({ CREDENTIALS_KEYS: `a:${KEY_A}` });
+  const stored = before.encryptValue('hunter2', 'password', ITEM);
+
+  const rotating = loadCredentials({ CREDENTIALS_KEYS: `b:${KEY_B},a:${KEY_A}` });
+  assert.strictEqual(rotating.decryptValue(stored, 'password', ITEM), 'hunter2');
+  assert.strictEqual(rotating.needsEncryption(stored), true);
+
+  const rotated = rotating.reencryptValue(stored, 'password', ITEM);
+  assert.match(rotated, /^enc:v2:b:/);
+  assert.strictEqual(rotating.needsEncryption(rotated), false);
+
+  const after = loadCredentials({ CREDENTIALS_KEYS: `b:${KEY_B}` });
+  assert.strictEqual(after.decryptValue(rotated, 'password', ITEM), 'hunter2');
+  assert.throws(() => after.decryptValue(stored, 'password', ITEM), /"a" is not configured/);
+});
+
+test('malformed keys are refused', () => {
+  assert.throws(() => loadCredentials({ CREDENTIALS_KEYS: 'a:c2hvcnQ=' }), /Invalid credentials key "a"/);
+});
+
+test('without a key nothing is saved unless plaintext is allowed', () => {
+  const strict = loadCredentials({});
+  assert.strictEqual(strict.canStoreCredentials(), false);
+  assert.throws(() => strict.encryptValue('hunter2', 'password', ITEM), /CREDENTIALS_KEYS is not set/);
+
+  const development = loadCredentials({ ALLOW_PLAINTEXT_CREDENTIALS: 'true' });
+  assert.strictEqual(development.canStoreCredentials(), true);
+  assert.strictEqual(development.encryptValue('hunter2', 'password', ITEM), 'hunter2');
+});
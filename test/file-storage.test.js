@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../lib/storage/file');
+
+function tempFile(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checklist-storage-'));
+  const filePath = path.join(dir, 'db.json');
+  if (content !== undefined) fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('a corrupt data file fails init and is never overwritten', async () => {
+  const corrupt = '{"users": [{"id": 1, "username": "alice"'; // cut off mid-write
+  const filePath = tempFile(corrupt);
+  const storage = createFileStorage({ filePath });
+
+  await assert.rejects(storage.init(), /Could not load/);
+  await assert.rejects(storage.createUser({ username: 'mallory' }), /refusing to overwrite/);
+
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), corrupt);
+});
+
+test('a missing data file starts empty and is created on init', async () => {
+  const filePath = tempFile();
+  const storage = createFileStorage({ filePath });
+
+  await storage.init();
+  await storage.createUser({ username: 'alice' });
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepStrictEqual(saved.users.map(u => u.username), ['alice']);
+});
+
+test('a failed write rejects the change and later writes still go through', async () => {
+  const filePath = tempFile();
+  const storage = createFileStorage({ filePath });
+  await storage.init();
+
+  fs.rmSync(path.dirname(filePath), { recursive: true });
+  await assert.rejects(storage.createUser({ username: 'alice' }), /ENOENT/);
+
+  fs.mkdirSync(path.dirname(filePath));
+  await storage.createUser({ username: 'bob' });
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepStrictEqual(saved.users.map(u => u.username), ['alice', 'bob']);
+});
+
+test('item writes are a compare-and-set on the item version', async () => {
+  const storage = createFileStorage();
+  await storage.init();
+  const checklist = await storage.createChecklist({
+    name: 'Acme',
+    items: [{ id: 1, name: 'Wamo', status: 'NOT_STARTED' }, { id: 2, name: 'Zen', status: 'NOT_STARTED' }]
+  });
+  const [wamo] = checklist.items;
+
+  // Two writers read version 0; only the first one wins
+  assert.strictEqual(await storage.updateItem(checklist.id, 1, { status: 'APPROVED' }, { expectedVersion: wamo.version || 0 }), true);
+  assert.strictEqual(await storage.updateItem(checklist.id, 1, { status: 'DECLINED' }, { expectedVersion: wamo.version || 0 }), false);
+
+  const saved = await storage.getItem(checklist.id, 1);
+  assert.strictEqual(saved.status, 'APPROVED');
+  assert.strictEqual(saved.version, 1);
+
+  // Other items keep their own version
+  assert.strictEqual(await storage.updateItem(checklist.id, 2, { status: 'APPROVED' }, { expectedVersion: 0 }), true);
+
+  // Deletes are locked the same way, and an item that exists is never inserted twice
+  assert.strictEqual(await storage.deleteItem(checklist.id, 1, { expectedVersion: 0 }), false);
+  assert.strictEqual(await storage.insertItem(checklist.id, { id: 1, name: 'Wamo again' }, 0), false);
+  assert.strictEqual(await storage.deleteItem(checklist.id, 1, { expectedVersion: 1 }), true);
+  assert.strictEqual(await storage.getItem(checklist.id, 1), null);
+});
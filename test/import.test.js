@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_IMPORT_BYTES, parseImportFile, planImport } = require('../lib/import');
+const { REDACTED } = require('../lib/export');
+const { DEFAULT_STATUSES } = require('../lib/workflow');
+
+const template = {
+  id: 'banks',
+  name: 'Banks',
+  items: [
+    { id: 1, name: 'Wamo' },
+    { id: 2, name: 'Revolut' },
+    { id: 3, name: 'Zen' }
+  ]
+};
+
+const plan = (content, format) =>
+  planImport(template, parseImportFile(content, format), { statuses: DEFAULT_STATUSES });
+
+test('CSV with ";" is detected from the header line', () => {
+  const rows = parseImportFile('item;status;login\nWamo;Approved;"a;b"\n', 'csv');
+
+  assert.deepStrictEqual(rows, [
+    { line: 2, checklist: '', itemId: '', item: 'Wamo', status: 'Approved', values: { login: 'a;b' } }
+  ]);
+});
+
+test('CSV quoting: escaped quotes, line breaks inside quotes, CRLF and blank lines', () => {
+  const rows = parseImportFile('item,login\r\n"Wamo","say ""hi""\nthere"\r\n,\r\nZen,x', 'csv');
+
+  assert.deepStrictEqual(rows.map(row => [row.line, row.item, row.values.login]), [
+    [2, 'Wamo', 'say "hi"\nthere'],
+    [4, 'Zen', 'x']
+  ]);
+});
+
+test('an unterminated quote fails the whole file', () => {
+  assert.throws(() => parseImportFile('item,login\nWamo,"open\n', 'csv'), /Unterminated quoted value/);
+});
+
+test('values the export protected from spreadsheets are read back as written', () => {
+  const [row] = parseImportFile("item,login\nWamo,'=1+1", 'csv');
+  assert.strictEqual(row.values.login, '=1+1');
+});
+
+test('JSON exports and plain row lists are both accepted', () => {
+  const exported = JSON.stringify({
+    checklists: [{ name: 'Acme', items: [{ id: 2, name: 'Revolut', status: 'APPROVED', statusName: 'Approved', details: { login: 'bob' } }] }]
+  });
+  const [row] = parseImportFile(exported);
+
+  assert.deepStrictEqual(row, {
+    line: 1, checklist: 'Acme', itemId: '2', item: 'Revolut', status: 'APPROVED', values: { login: 'bob' }
+  });
+  assert.strictEqual(parseImportFile('[{"item": "Zen"}]')[0].item, 'Zen');
+  assert.throws(() => parseImportFile('{"rows": []}'), /Expected a list of rows/);
+  assert.throws(() => parseImportFile('[oops', 'json'), /Invalid JSON/);
+});
+
+test('empty, oversized and unknown files are refused', () => {
+  assert.throws(() => parseImportFile('', 'csv'), /The file is empty/);
+  assert.throws(() => parseImportFile('item\n', 'csv'), /No rows to import/);
+  assert.throws(() => parseImportFile('x'.repeat(MAX_IMPORT_BYTES + 1), 'csv'), /File is too large/);
+  assert.throws(() => parseImportFile('item\nWamo', 'xml'), /Unknown import format/);
+});
+
+test('rows match template items by id, then by name in any case', () => {
+  const result = plan('id,item,status,login\n3,,declined,zed\n,REVOLUT,,bob\n');
+
+  assert.deepStrictEqual(result.updates, [
+    { itemId: 3, status: 'DECLINED', details: { login: 'zed' } },
+    { itemId: 2, status: null, details: { login: 'bob' } }
+  ]);
+  assert.strictEqual(result.untouched, 1);
+});
+
+test('an id and a name pointing at different items is a conflict, not a guess', () => {
+  const result = plan('id,item\n1,Revolut\n');
+
+  assert.strictEqual(result.updates.length, 0);
+  assert.match(result.conflicts[0].reason, /id 1 is "Wamo" but the name matches "Revolut"/);
+});
+
+test('duplicates, unknown statuses and unknown items are reported per line', () => {
+  const result = plan('item,status\nWamo,\nwamo,\nZen,Lost\nKraken,\n');
+
+  assert.deepStrictEqual(result.matched.map(m => m.line), [2]);
+  assert.deepStrictEqual(result.conflicts.map(c => [c.line, c.reason]), [
+    [3, '"Wamo" is already filled from line 2'],
+    [4, 'unknown status "Lost"']
+  ]);
+  assert.deepStrictEqual(result.unmatched, [{ line: 5, name: 'Kraken' }]);
+});
+
+test('redacted exports are refused instead of importing the placeholder', () => {
+  const result = plan(`item,login,password\nWamo,bob,${REDACTED}\n`);
+
+  assert.strictEqual(result.updates.length, 0);
+  assert.match(result.conflicts[0].reason, /redacted values \(password\)/);
+});
+
+test('columns without a field are listed as ignored', () => {
+  const result = plan('checklist,item,login,Due date,colour\nAcme,Wamo,bob,2026-01-01,red\n');
+
+  assert.deepStrictEqual(result.ignoredColumns, ['Due date', 'colour']);
+  assert.deepStrictEqual(result.checklistNames, ['Acme']);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRole, hasRole, canDeleteChecklist, roleFields } = require('../lib/roles');
+
+test('users from before roles get admin from is_admin, editor otherwise', () => {
+  assert.strictEqual(getRole({ is_admin: true }), 'admin');
+  assert.strictEqual(getRole({ is_admin: false }), 'editor');
+  assert.strictEqual(getRole({ role: 'viewer', is_admin: true }), 'viewer');
+  assert.strictEqual(getRole(null), null);
+});
+
+test('each role includes the ones below it', () => {
+  const viewer = { role: 'viewer' };
+  const editor = { role: 'editor' };
+  const admin = { role: 'admin' };
+
+  assert.deepStrictEqual(
+    [viewer, editor, admin].map(user => ['viewer', 'editor', 'admin'].map(role => hasRole(user, role))),
+    [[true, false, false], [true, true, false], [true, true, true]]
+  );
+  assert.strictEqual(hasRole(null, 'viewer'), false);
+});
+
+test('only admins and the creator may delete a checklist', () => {
+  const checklist = { created_by: '42' };
+
+  assert.ok(canDeleteChecklist({ role: 'admin', telegram_id: '1' }, checklist));
+  assert.ok(canDeleteChecklist({ role: 'viewer', telegram_id: 42 }, checklist));
+  assert.ok(!canDeleteChecklist({ role: 'editor', telegram_id: '7' }, checklist));
+  assert.ok(!canDeleteChecklist({ role: 'editor' }, { created_by: undefined }));
+});
+
+test('is_admin is kept in step with the role', () => {
+  assert.deepStrictEqual(roleFields('admin'), { role: 'admin', is_admin: true });
+  assert.deepStrictEqual(roleFields('editor'), { role: 'editor', is_admin: false });
+});
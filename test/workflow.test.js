@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_STATUSES,
+  matchStatus,
+  allowedTransitions,
+  canTransition,
+  normalizeStatus,
+  summarizeItems,
+  isEmoji
+} = require('../lib/workflow');
+
+const statuses = [
+  { id: 'NEW', name: 'New', emoji: '⬜', color: '#8a8a8a', transitions: ['DOCS'], done: false },
+  { id: 'DOCS', name: 'Docs requested', emoji: '📄', color: '#f5a623', transitions: ['APPROVED', 'DECLINED'], done: false },
+  { id: 'APPROVED', name: 'Approved', emoji: '✅', color: '#31b545', transitions: null, done: true },
+  { id: 'DECLINED', name: 'Declined', emoji: '❌', color: '#e53935', transitions: [], done: true }
+];
+
+const ids = (list) => list.map(s => s.id);
+
+test('transitions follow the workflow, null allows any other status', () => {
+  assert.deepStrictEqual(ids(allowedTransitions(statuses, 'NEW')), ['DOCS']);
+  assert.deepStrictEqual(ids(allowedTransitions(statuses, 'APPROVED')), ['NEW', 'DOCS', 'DECLINED']);
+  assert.deepStrictEqual(ids(allowedTransitions(statuses, 'DECLINED')), []);
+  assert.strictEqual(canTransition(statuses, 'NEW', 'APPROVED'), false);
+  assert.strictEqual(canTransition(statuses, 'DOCS', 'APPROVED'), true);
+  assert.strictEqual(canTransition(statuses, 'NEW', 'NEW'), false);
+});
+
+test('items in a removed status may move anywhere', () => {
+  assert.deepStrictEqual(ids(allowedTransitions(statuses, 'GONE')), ids(statuses));
+});
+
+test('statuses are found by id or name in any case', () => {
+  assert.strictEqual(matchStatus(statuses, ' docs requested ').id, 'DOCS');
+  assert.strictEqual(matchStatus(statuses, 'approved').id, 'APPROVED');
+  assert.strictEqual(matchStatus(statuses, 'lost'), null);
+});
+
+test('status definitions get defaults and bad ids or colours are refused', () => {
+  assert.deepStrictEqual(normalizeStatus({ id: 'on_hold' }), {
+    id: 'ON_HOLD', name: 'ON_HOLD', emoji: '⬜', color: '#8a8a8a', transitions: null, done: false
+  });
+  assert.throws(() => normalizeStatus({ id: '1st' }), /Invalid status id/);
+  assert.throws(() => normalizeStatus({ id: 'OK', color: 'red' }), /Invalid colour/);
+});
+
+test('summaries count done statuses and keep removed ones last', () => {
+  const items = [{ status: 'NEW' }, { status: 'APPROVED' }, { status: 'APPROVED' }, { status: 'GONE', emoji: '❓' }];
+
+  assert.deepStrictEqual(summarizeItems(statuses, items), {
+    total: 4,
+    done: 2,
+    counts: [
+      { id: 'NEW', name: 'New', emoji: '⬜', color: '#8a8a8a', count: 1 },
+      { id: 'APPROVED', name: 'Approved', emoji: '✅', color: '#31b545', count: 2 },
+      { id: 'GONE', name: 'GONE', emoji: '❓', color: '#8a8a8a', count: 1 }
+    ]
+  });
+});
+
+test('item emoji must be exactly one emoji', () => {
+  for (const emoji of ['✅', '👍🏽', '👨‍👩‍👧', '🇩🇪', '1️⃣', ...DEFAULT_STATUSES.map(s => s.emoji)]) {
+    assert.strictEqual(isEmoji(emoji), true, emoji);
+  }
+  for (const value of ['', 'a', '✅✅', '<b>✅</b>', null, 42]) {
+    assert.strictEqual(isEmoji(value), false, String(value));
+  }
+});